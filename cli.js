@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * Copyright (c) 2024 Mark Livolsi
+ * Derived from Clique (https://gitlab.com/4degrees/clique)
+ * Copyright (c) 2013 Martin Pengelly-Phillips
+ *
+ * Licensed under the Apache License, Version 2.0
+ * See LICENSE file in the project root for full license text.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Collection, naturalCompare } from './seqo.js';
+
+
+/**
+ * Exit codes returned by main.
+ * @const {Object}
+ * @property {number} ok - Every collection is contiguous
+ * @property {number} holes - At least one collection is missing indexes
+ * @property {number} error - Invalid arguments, or a directory could not be read
+ */
+const EXIT_CODES = Object.freeze({
+    ok: 0,
+    holes: 1,
+    error: 2
+});
+
+const DEFAULT_FORMAT = '{head}{padding}{tail} [{range}]';
+
+const USAGE = `Usage: seqo [options] [directory...]
+
+List the contents of directories with numbered files grouped into sequences.
+
+Options:
+  -r, --recursive        List subdirectories recursively
+  -f, --format <pattern> Format sequences with a Collection.format pattern
+                         (default: "${DEFAULT_FORMAT}", followed by missing indexes)
+  -m, --min-items <n>    Minimum number of files in a sequence (default: 2)
+  -i, --ignore-case      Group files case-insensitively
+  -j, --json             Print JSON instead of text
+  -h, --help             Show this help
+
+Exit status is ${EXIT_CODES.ok} if no sequence has holes, ${EXIT_CODES.holes} if any sequence has holes,
+and ${EXIT_CODES.error} on invalid arguments or unreadable directories.`;
+
+
+/**
+ * Parses command-line arguments.
+ *
+ * @param {string[]} args - Arguments, without the node executable and script path
+ * @returns {Object} The parsed options and directories
+ * @throws {Error} If an option is unknown or missing its value
+ */
+function parseArgs(args) {
+    const options = {
+        recursive: false,
+        format: null,
+        minItems: 2,
+        caseSensitive: true,
+        json: false,
+        help: false,
+        directories: []
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) {
+                throw new Error(`Option ${arg} requires a value`);
+            }
+            return args[++i];
+        };
+
+        switch (arg) {
+        case '-r':
+        case '--recursive':
+            options.recursive = true;
+            break;
+        case '-f':
+        case '--format':
+            options.format = value();
+            break;
+        case '-m':
+        case '--min-items': {
+            const minItems = Number(value());
+            if (!Number.isInteger(minItems) || minItems < 1) {
+                throw new Error(`Invalid value for ${arg}: expected a positive integer`);
+            }
+            options.minItems = minItems;
+            break;
+        }
+        case '-i':
+        case '--ignore-case':
+            options.caseSensitive = false;
+            break;
+        case '-j':
+        case '--json':
+            options.json = true;
+            break;
+        case '-h':
+        case '--help':
+            options.help = true;
+            break;
+        default:
+            if (arg.startsWith('-') && arg !== '-') {
+                throw new Error(`Unknown option: ${arg}`);
+            }
+            options.directories.push(arg);
+        }
+    }
+
+    if (options.directories.length === 0) {
+        options.directories.push('.');
+    }
+    return options;
+}
+
+
+/**
+ * Formats a collection for text output. Without a custom format, missing indexes are
+ * appended, e.g. "shot.%04d.exr [1001-1100] (missing 1050)".
+ *
+ * @param {Collection} collection - The collection to format
+ * @param {string|null} format - A custom Collection.format pattern, or null for the default
+ * @returns {string} The formatted line
+ */
+function formatCollection(collection, format) {
+    if (format !== null) {
+        return collection.format(format);
+    }
+    const line = collection.format(DEFAULT_FORMAT);
+    return collection.holes ? `${line} (missing ${collection.format('{holes}')})` : line;
+}
+
+
+/**
+ * Lists one directory.
+ *
+ * @param {string} directory - The directory to list
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} The listing, with paths relative to the directory
+ */
+async function listDirectory(directory, options) {
+    const [collections, remainder] = await Collection.scan(directory, {
+        recursive: options.recursive,
+        minItems: options.minItems,
+        caseSensitive: options.caseSensitive
+    });
+
+    // Collection.scan joins every path onto the directory. A head can end in a separator or be
+    // empty after it, so it is made relative with a placeholder name that is removed again.
+    for (const collection of collections) {
+        collection.head = path.relative(directory, `${collection.head}_`).slice(0, -1);
+    }
+
+    return {
+        directory,
+        collections,
+        remainder: remainder.map(item => path.relative(directory, item))
+    };
+}
+
+
+/**
+ * Runs the seqo command.
+ *
+ * @param {string[]} args - Arguments, without the node executable and script path
+ * @param {Object} [streams] - Output streams
+ * @param {Object} [streams.stdout=process.stdout] - Stream for listings
+ * @param {Object} [streams.stderr=process.stderr] - Stream for errors
+ * @returns {Promise<number>} The exit code
+ */
+async function main(args, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        stderr.write(`seqo: ${error.message}\n${USAGE}\n`);
+        return EXIT_CODES.error;
+    }
+
+    if (options.help) {
+        stdout.write(`${USAGE}\n`);
+        return EXIT_CODES.ok;
+    }
+
+    const listings = [];
+    let failed = false;
+    for (const directory of options.directories) {
+        try {
+            listings.push(await listDirectory(directory, options));
+        } catch (error) {
+            stderr.write(`seqo: cannot read ${directory}: ${error.message}\n`);
+            failed = true;
+        }
+    }
+
+    const hasHoles = listings.some(({ collections }) => collections.some(c => c.holes !== null));
+
+    if (options.json) {
+        const output = listings.map(({ directory, collections, remainder }) => ({
+            directory,
+            collections: collections.map(collection => ({
+                head: collection.head,
+                tail: collection.tail,
+                padding: collection.padding,
+                pattern: collection.format('{head}{padding}{tail}'),
+                ranges: collection.format('{ranges}'),
+                holes: collection.format('{holes}'),
+                count: collection._indexes.size
+            })),
+            remainder
+        }));
+        stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+    } else {
+        listings.forEach(({ directory, collections, remainder }, i) => {
+            if (listings.length > 1) {
+                stdout.write(`${i > 0 ? '\n' : ''}${directory}:\n`);
+            }
+            const lines = [
+                ...collections.map(collection => formatCollection(collection, options.format)),
+                ...remainder
+            ].sort(naturalCompare);
+            lines.forEach(line => stdout.write(`${line}\n`));
+        });
+    }
+
+    if (failed) return EXIT_CODES.error;
+    return hasHoles ? EXIT_CODES.holes : EXIT_CODES.ok;
+}
+
+
+// Run when executed directly, including through the npm bin symlink
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+
+export { EXIT_CODES, main };
@@ -0,0 +1,150 @@
+/**
+ * Copyright (c) 2024 Mark Livolsi
+ * Derived from Clique (https://gitlab.com/4degrees/clique)
+ * Copyright (c) 2013 Martin Pengelly-Phillips
+ *
+ * Licensed under the Apache License, Version 2.0
+ * See LICENSE file in the project root for full license text.
+ */
+
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EXIT_CODES, main } from './cli.js';
+
+
+describe('seqo command', () => {
+    let root;
+
+    const touch = (...parts) => {
+        const file = path.join(root, ...parts);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, '');
+    };
+
+    const run = async (...args) => {
+        let stdout = '';
+        let stderr = '';
+        const code = await main(args, {
+            stdout: { write: text => { stdout += text; } },
+            stderr: { write: text => { stderr += text; } }
+        });
+        return { code, stdout, stderr };
+    };
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'seqo-cli-'));
+        [1001, 1002, 1003, 1005].forEach(frame => touch(`shot.${frame}.exr`));
+        touch('notes.txt');
+        ['plate_0001.dpx', 'plate_0002.dpx'].forEach(name => touch('plates', name));
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('lists sequences with missing indexes and remaining files', async () => {
+        const { code, stdout } = await run(root);
+
+        expect(stdout).toBe('notes.txt\nshot.%d.exr [1001-1005] (missing 1004)\n');
+        expect(code).toBe(EXIT_CODES.holes);
+    });
+
+    test('exits cleanly when no sequence has holes', async () => {
+        const { code, stdout } = await run(path.join(root, 'plates'));
+
+        expect(stdout).toBe('plate_%04d.dpx [1-2]\n');
+        expect(code).toBe(EXIT_CODES.ok);
+    });
+
+    test('lists recursively with relative paths', async () => {
+        const { stdout } = await run('--recursive', root);
+        expect(stdout.split('\n')).toContain(`${path.join('plates', 'plate_')}%04d.dpx [1-2]`);
+    });
+
+    test('lists the current directory by default', async () => {
+        touch('plates', 'notes.txt');
+        const cwd = process.cwd();
+        process.chdir(root);
+        try {
+            const { stdout } = await run();
+            expect(stdout).toBe('notes.txt\nshot.%d.exr [1001-1005] (missing 1004)\n');
+
+            const recursive = await run('-r');
+            expect(recursive.stdout.split('\n')).toEqual(expect.arrayContaining([
+                'notes.txt',
+                `${path.join('plates', 'plate_')}%04d.dpx [1-2]`,
+                path.join('plates', 'notes.txt')
+            ]));
+        } finally {
+            process.chdir(cwd);
+        }
+    });
+
+    test('uses a custom format', async () => {
+        const { stdout } = await run('-f', '{head}{padding}{tail} {ranges}', root);
+        expect(stdout).toContain('shot.%d.exr 1001-1003, 1005\n');
+    });
+
+    test('respects minimum items', async () => {
+        const { stdout } = await run('-m', '5', root);
+        expect(stdout).toBe('notes.txt\nshot.1001.exr\nshot.1002.exr\nshot.1003.exr\nshot.1005.exr\n');
+    });
+
+    test('sorts lines naturally', async () => {
+        ['take9.mov', 'take10.mov'].forEach(name => touch(name));
+        const { stdout } = await run('-m', '3', root);
+        expect(stdout).toBe('notes.txt\nshot.%d.exr [1001-1005] (missing 1004)\ntake9.mov\ntake10.mov\n');
+    });
+
+    test('groups case-insensitively', async () => {
+        touch('plates', 'PLATE_0003.DPX');
+        const sensitive = await run(path.join(root, 'plates'));
+        const insensitive = await run('-i', path.join(root, 'plates'));
+
+        expect(sensitive.stdout).toContain('PLATE_0003.DPX\n');
+        expect(insensitive.stdout.toLowerCase()).toBe('plate_%04d.dpx [1-3]\n');
+    });
+
+    test('prints JSON', async () => {
+        const { stdout } = await run('--json', root);
+        const [listing] = JSON.parse(stdout);
+
+        expect(listing.directory).toBe(root);
+        expect(listing.collections).toEqual([{
+            head: 'shot.',
+            tail: '.exr',
+            padding: 0,
+            pattern: 'shot.%d.exr',
+            ranges: '1001-1003, 1005',
+            holes: '1004',
+            count: 4
+        }]);
+        expect(listing.remainder).toEqual(['notes.txt']);
+    });
+
+    test('lists several directories under headings', async () => {
+        const { stdout } = await run(root, path.join(root, 'plates'));
+        expect(stdout).toContain(`${root}:\n`);
+        expect(stdout).toContain(`\n${path.join(root, 'plates')}:\nplate_%04d.dpx [1-2]\n`);
+    });
+
+    test('fails on unreadable directories', async () => {
+        const { code, stderr } = await run(path.join(root, 'missing'));
+        expect(code).toBe(EXIT_CODES.error);
+        expect(stderr).toContain('seqo: cannot read');
+    });
+
+    test('fails on invalid arguments', async () => {
+        expect((await run('--bogus')).code).toBe(EXIT_CODES.error);
+        expect((await run('-m', 'zero')).stderr).toContain('expected a positive integer');
+        expect((await run('-f')).stderr).toContain('Option -f requires a value');
+    });
+
+    test('prints help', async () => {
+        const { code, stdout } = await run('--help');
+        expect(code).toBe(EXIT_CODES.ok);
+        expect(stdout).toContain('Usage: seqo');
+    });
+});
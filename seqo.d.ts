@@ -7,14 +7,99 @@
  * See LICENSE file in the project root for full license text.
  */
 
+import { Readable } from 'stream';
+
 export declare function range(
     start?: number,
     stop?: number,
     step?: number
 ): Iterable<number>;
 
+export declare function naturalCompare(a: string, b: string): number;
+
 type CollectionItem = number | string | Collection;
 
+type IterationOptions = { start?: number; reverse?: boolean };
+
+type Renumbering = { collection: Collection; mapping: Map<string, string> };
+
+type CollectionJSON = {
+    version: 1;
+    head: string;
+    tail: string;
+    padding: number;
+    ranges: Array<number | [number, number]>;
+    caseSensitive?: boolean;
+    normalization?: 'NFC' | 'NFD';
+    paddingMode?: 'minimum';
+};
+
+type Normalization = 'NFC' | 'NFD' | null;
+
+type PaddingMode = 'exact' | 'minimum';
+
+type ParseOptions = {
+    pattern?: string;
+    caseSensitive?: boolean;
+    normalization?: Normalization;
+    paddingMode?: PaddingMode;
+    timecode?: TimecodeOptions | null;
+};
+
+type NotationParser = (string: string, options: ParseOptions) => Collection;
+
+type SortOrder = 'natural' | 'lexical' | 'insertion';
+
+type TimecodeOptions = { rate: number | string; dropFrame?: boolean; offset?: number };
+
+type SequenceChange = {
+    before: Collection;
+    after: Collection;
+    added: Collection;
+    removed: Collection;
+    paddingChanged: boolean;
+    tailChanged: boolean;
+};
+
+type CollectionDiff = {
+    added: Collection[];
+    removed: Collection[];
+    changed: SequenceChange[];
+    unchanged: Collection[];
+    remainder: { added: string[]; removed: string[] };
+};
+
+type QcReport = {
+    files: Map<number, { path: string; size: number; hash?: string }>;
+    holes: Collection | null;
+    missing: number[];
+    empty: number[];
+    outliers: { index: number; size: number; median: number }[];
+    duplicates: { indexes: number[]; hash: string }[];
+};
+
+type DirectoryNode = {
+    name: string;
+    path: string;
+    collections: Collection[];
+    directories: Collection[];
+    remainder: string[];
+    children: DirectoryNode[];
+};
+
+type PaddingStyle = 'printf' | 'hash' | 'at' | 'houdini' | 'maya' | ((padding: number) => string);
+
+type SteppedRun = { start: number; end: number; step: number };
+
+type FrameListStyle = 'deadline' | 'opencue' | 'tractor' | 'royalrender' | ((runs: SteppedRun[]) => string);
+
+export declare class Timecode {
+
+    static fromFrame(frame: number, rate: number | string, options?: { dropFrame?: boolean }): string;
+    static toFrame(timecode: string, rate: number | string, options?: { dropFrame?: boolean | null }): number;
+
+}
+
 export declare class Collection {
 
     static readonly patterns: Readonly<{
@@ -23,39 +108,291 @@ export declare class Collection {
         versions: string;
     }>;
 
-    static parse(string: string, options?: { pattern?: string }): Collection;
+    static readonly paddingStyles: Readonly<{
+        printf: (padding: number) => string;
+        hash: (padding: number) => string;
+        at: (padding: number) => string;
+        houdini: (padding: number) => string;
+        maya: (padding: number) => string;
+    }>;
+
+    static readonly frameListStyles: Readonly<{
+        deadline: (runs: SteppedRun[]) => string;
+        opencue: (runs: SteppedRun[]) => string;
+        tractor: (runs: SteppedRun[]) => string;
+        royalrender: (runs: SteppedRun[]) => string;
+    }>;
+
+    static parsePadding(token: string): number;
+
+    static parse(string: string, options?: ParseOptions): Collection;
+
+    static readonly notations: Readonly<{
+        seqo: NotationParser;
+        nuke: NotationParser;
+        houdini: NotationParser;
+        rv: NotationParser;
+        djv: NotationParser;
+    }>;
+
+    static parseAny(
+        string: string,
+        options?: ParseOptions & { notations?: Record<string, NotationParser> }
+    ): { collection: Collection; notation: string };
 
     static assemble(
         strings: Iterable<string>,
         options?: {
             patterns?: (RegExp | string)[];
+            globs?: string | string[] | null;
             minItems?: number;
             caseSensitive?: boolean;
+            normalization?: Normalization;
+            paddingMode?: PaddingMode;
             assumePaddedWhenAmbiguous?: boolean;
+            literalHyphens?: boolean;
+            sort?: SortOrder;
         }
     ): [Collection[], string[]];
 
+    static assembleAsync(
+        source: AsyncIterable<string | Buffer> | Iterable<string | Buffer> | Readable,
+        options?: {
+            patterns?: (RegExp | string)[];
+            globs?: string | string[] | null;
+            minItems?: number;
+            caseSensitive?: boolean;
+            normalization?: Normalization;
+            paddingMode?: PaddingMode;
+            assumePaddedWhenAmbiguous?: boolean;
+            literalHyphens?: boolean;
+            sort?: SortOrder;
+        }
+    ): Promise<[Collection[], string[]]>;
+
+    static assemblePaths(
+        paths: Iterable<string>,
+        options?: {
+            directories?: boolean;
+            patterns?: (RegExp | string)[];
+            globs?: string | string[] | null;
+            minItems?: number;
+            caseSensitive?: boolean;
+            normalization?: Normalization;
+            paddingMode?: PaddingMode;
+            assumePaddedWhenAmbiguous?: boolean;
+            literalHyphens?: boolean;
+            sort?: SortOrder;
+        }
+    ): DirectoryNode;
+
+    static scan(
+        directory: string,
+        options?: {
+            recursive?: boolean;
+            followSymlinks?: boolean;
+            onError?: ((error: Error, path: string) => void) | null;
+            patterns?: (RegExp | string)[];
+            globs?: string | string[] | null;
+            minItems?: number;
+            caseSensitive?: boolean;
+            normalization?: Normalization;
+            paddingMode?: PaddingMode;
+            assumePaddedWhenAmbiguous?: boolean;
+            literalHyphens?: boolean;
+            sort?: SortOrder;
+        }
+    ): Promise<[Collection[], string[]]>;
+
+    static applyRenames(
+        mapping: Map<string, string> | Iterable<[string, string]>,
+        options?: { directory?: string | null; dryRun?: boolean }
+    ): Promise<[string, string][]>;
+
+    static qc(
+        collection: Collection,
+        options?: {
+            directory?: string | null;
+            hash?: boolean;
+            algorithm?: string;
+            neighbours?: number;
+            minSizeRatio?: number;
+        }
+    ): Promise<QcReport>;
+
+    static diff(before: [Collection[], string[]], after: [Collection[], string[]]): CollectionDiff;
+
+    static fromJSON(json: CollectionJSON | string): Collection;
+
     constructor(options?: {
         head?: string;
         tail?: string;
         padding?: number;
         indexes?: Iterable<number>;
+        caseSensitive?: boolean;
+        normalization?: Normalization;
+        paddingMode?: PaddingMode;
     });
 
     head: string;
     tail: string;
     padding: number;
+    caseSensitive: boolean;
+    normalization: Normalization;
+    paddingMode: PaddingMode;
 
     get indexes(): number[];
     get members(): string[];
     get holes(): Collection | null;
     get isContiguous(): boolean;
 
+    [Symbol.iterator](): Iterator<string>;
+    keys(options?: IterationOptions): Generator<number>;
+    values(options?: IterationOptions): Generator<string>;
+    entries(options?: IterationOptions): Generator<[number, string]>;
+    timecodes(timecode: TimecodeOptions): Generator<string>;
+    at(position: number): string | undefined;
+    indexAt(position: number): number | undefined;
+
     add(items: CollectionItem | Array<CollectionItem> | Set<CollectionItem>): this;
     remove(items: CollectionItem | Array<CollectionItem> | Set<CollectionItem>, options?: { strict?: boolean }): this;
     separate(): Collection[];
+    chunk(options: { size?: number | null; count?: number | null; contiguous?: boolean }): Collection[];
+    frameList(style?: FrameListStyle): string;
+    sample(options: {
+        stride?: number | null;
+        count?: number | null;
+        checkFrames?: boolean;
+        random?: number | null;
+        seed?: number;
+        contiguous?: boolean;
+    }): Collection;
     isCompatible(collection: Collection): boolean;
-    format(pattern?: string): string;
+    union(collection: Collection, options?: { ignorePadding?: boolean }): Collection;
+    intersection(collection: Collection, options?: { ignorePadding?: boolean }): Collection;
+    difference(collection: Collection, options?: { ignorePadding?: boolean }): Collection;
+    symmetricDifference(collection: Collection, options?: { ignorePadding?: boolean }): Collection;
+    isSubsetOf(collection: Collection, options?: { ignorePadding?: boolean }): boolean;
+    isSupersetOf(collection: Collection, options?: { ignorePadding?: boolean }): boolean;
+    renumber(mapper: (index: number, position: number) => number): Renumbering;
+    offset(amount: number): Renumbering;
+    scale(factor: number): Renumbering;
+    reverse(): Renumbering;
+    compact(options?: { start?: number }): Renumbering;
+    repad(padding: number): Renumbering;
+    format(pattern?: string, options?: {
+        paddingStyle?: PaddingStyle;
+        stepSeparator?: 'x' | ':' | null;
+        timecode?: TimecodeOptions | null;
+    }): string;
+    toGlob(options?: { wildcard?: boolean }): string;
+    toJSON(): CollectionJSON;
     match(item: string): RegExpExecArray | null;
 
-}
\ No newline at end of file
+}
+
+type UdimScheme = 'udim' | 'uvtile' | 'mudbox';
+
+export declare class UdimCollection extends Collection {
+
+    static readonly tokens: Readonly<{
+        udim: string;
+        uvtile: string;
+        mudbox: string;
+    }>;
+
+    static toTile(index: number): { u: number; v: number };
+    static fromTile(u: number, v: number): number;
+    static fromCollection(collection: Collection, options?: { scheme?: UdimScheme }): UdimCollection;
+    static parse(string: string, options?: {
+        pattern?: string;
+        caseSensitive?: boolean;
+        normalization?: Normalization;
+        timecode?: TimecodeOptions | null;
+    }): UdimCollection;
+    static fromJSON(json: (CollectionJSON & { scheme?: UdimScheme }) | string): UdimCollection;
+
+    constructor(options?: {
+        head?: string;
+        tail?: string;
+        indexes?: Iterable<number>;
+        scheme?: UdimScheme;
+        caseSensitive?: boolean;
+        normalization?: Normalization;
+    });
+
+    scheme: UdimScheme;
+
+    get tiles(): { index: number; u: number; v: number }[];
+    get holes(): UdimCollection | null;
+
+    toJSON(): CollectionJSON & { scheme: UdimScheme };
+
+}
+
+type CollectionFields = {
+    head?: string;
+    tail?: string;
+    padding?: number;
+    indexes?: Iterable<number>;
+    caseSensitive?: boolean;
+    normalization?: Normalization;
+    paddingMode?: PaddingMode;
+};
+
+export declare class FrozenCollection extends Collection {
+
+    static fromCollection(collection: Collection): FrozenCollection;
+
+    constructor(options?: CollectionFields);
+
+    readonly head: string;
+    readonly tail: string;
+    readonly padding: number;
+    readonly caseSensitive: boolean;
+    readonly normalization: Normalization;
+    readonly paddingMode: PaddingMode;
+
+    toCollection(): Collection;
+    with(fields: CollectionFields): FrozenCollection;
+
+}
+
+type Axis = { name?: string; padding: number };
+
+export declare class MultiCollection {
+
+    static assemble(
+        strings: Iterable<string>,
+        options?: {
+            minItems?: number;
+            caseSensitive?: boolean;
+            names?: string[];
+        }
+    ): [MultiCollection[], string[]];
+
+    constructor(options?: {
+        parts?: string[];
+        axes?: Axis[];
+        indexes?: Iterable<number[]>;
+    });
+
+    parts: string[];
+    axes: Axis[];
+
+    get indexes(): number[][];
+    get members(): string[];
+
+    [Symbol.iterator](): Iterator<string>;
+    values(): Generator<string>;
+
+    add(indexes: number[] | number[][]): this;
+    valuesOf(axis: string | number): number[];
+    latest(axis: string | number): number | undefined;
+    slice(axis: string | number, index: number): Collection | MultiCollection;
+    format(pattern?: string, options?: {
+        paddingStyle?: PaddingStyle;
+        stepSeparator?: 'x' | ':' | null;
+    }): string;
+
+}
@@ -7,6 +7,12 @@
  * See LICENSE file in the project root for full license text.
  */
 
+import { createHash } from 'crypto';
+import { createReadStream, promises as fs } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { Readable } from 'stream';
+
 
 /**
  * Generates a sequence of integers from start (inclusive) to stop (exclusive),
@@ -78,6 +84,631 @@ function range(start = 0, stop, step) {
 }
 
 
+/**
+ * Escapes characters with special meaning in regular expressions.
+ *
+ * @param {string} string - The string to escape
+ * @returns {string} The string with special characters escaped
+ */
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+
+/**
+ * Escapes characters with special meaning in glob patterns, including the backslash, by
+ * wrapping each in a bracket expression, which shells and glob libraries alike read as the
+ * literal character.
+ *
+ * @param {string} string - The string to escape
+ * @returns {string} The string with special characters escaped
+ */
+function escapeGlob(string) {
+    // A lone backslash in brackets would escape the closing bracket in a shell, so it is doubled
+    return string.replace(/[*?[\]{}\\]/g, char => (char === '\\' ? '[\\\\]' : `[${char}]`));
+}
+
+
+/**
+ * Converts a glob pattern to a regular expression source matching whole strings.
+ * Supports "*" and "?", which do not match "/", "**", which does, bracket expressions
+ * such as "[0-9]" and "[!a]", brace alternatives such as "{exr,dpx}", and backslash escapes.
+ *
+ * @param {string} glob - The glob pattern
+ * @returns {string} The regular expression source
+ * @throws {Error} If a bracket expression or brace is not closed
+ */
+function globToRegExp(glob) {
+    let source = '';
+    let braces = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '\\' && i + 1 < glob.length) {
+            source += escapeRegExp(glob[++i]);
+        } else if (char === '*') {
+            if (glob[i + 1] === '*') {
+                source += '.*';
+                i++;
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            // A "]" straight after the opening bracket, or its negation, is a member of the class
+            let end = i + 1;
+            if (glob[end] === '!' || glob[end] === '^') end++;
+            if (glob[end] === ']') end++;
+            end = glob.indexOf(']', end);
+            if (end === -1) {
+                throw new Error(`Invalid glob: ${glob}. Unclosed bracket expression.`);
+            }
+            let members = glob.slice(i + 1, end);
+            const negated = members[0] === '!' || members[0] === '^';
+            if (negated) members = members.slice(1);
+            source += `[${negated ? '^' : ''}${members.replace(/[\\^\]]/g, '\\$&')}]`;
+            i = end;
+        } else if (char === '{') {
+            source += '(?:';
+            braces++;
+        } else if (char === '}' && braces > 0) {
+            source += ')';
+            braces--;
+        } else if (char === ',' && braces > 0) {
+            source += '|';
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    if (braces > 0) {
+        throw new Error(`Invalid glob: ${glob}. Unclosed brace.`);
+    }
+    return `^${source}$`;
+}
+
+
+/**
+ * Normalizes text for comparison under a matching policy, applying the Unicode
+ * normalization form and then, when matching case-insensitively, lowercasing.
+ *
+ * @param {string} text - The text to normalize
+ * @param {Object} policy - The matching policy, such as a Collection
+ * @param {boolean} [policy.caseSensitive=true] - Whether case is significant
+ * @param {('NFC'|'NFD'|null)} [policy.normalization=null] - The Unicode normalization form, if any
+ * @returns {string} The normalized text
+ */
+function normalizeText(text, { caseSensitive = true, normalization = null }) {
+    const normalized = normalization ? text.normalize(normalization) : text;
+    return caseSensitive ? normalized : normalized.toLowerCase();
+}
+
+
+/**
+ * Compares two strings in natural order, so that runs of digits compare by their value
+ * and "shot2" sorts before "shot10". Equal values compare by width, so "1" sorts before
+ * "01", and strings that are still equal compare by code point, so the order is total.
+ *
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} A negative number if a sorts first, a positive number if b does, or 0
+ *
+ * @example
+ * ['shot10', 'shot2', 'shot1'].sort(naturalCompare); // ['shot1', 'shot2', 'shot10']
+ */
+function naturalCompare(a, b) {
+    const chunksA = a.match(/\d+|\D+/g) || [];
+    const chunksB = b.match(/\d+|\D+/g) || [];
+    let widths = 0;
+
+    for (let i = 0; i < Math.min(chunksA.length, chunksB.length); i++) {
+        const chunkA = chunksA[i];
+        const chunkB = chunksB[i];
+        const isNumberA = chunkA[0] >= '0' && chunkA[0] <= '9';
+        const isNumberB = chunkB[0] >= '0' && chunkB[0] <= '9';
+
+        if (isNumberA && isNumberB) {
+            // Compare without leading zeros, by length and then by digits, so any length of digits compares exactly
+            const valueA = chunkA.replace(/^0+/, '');
+            const valueB = chunkB.replace(/^0+/, '');
+            if (valueA.length !== valueB.length) return valueA.length - valueB.length;
+            if (valueA !== valueB) return valueA < valueB ? -1 : 1;
+            if (widths === 0) widths = chunkA.length - chunkB.length;
+        } else if (chunkA !== chunkB) {
+            return chunkA < chunkB ? -1 : 1;
+        }
+    }
+
+    if (chunksA.length !== chunksB.length) return chunksA.length - chunksB.length;
+    if (widths !== 0) return widths;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+
+/**
+ * Compares two strings by code point.
+ *
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} A negative number if a sorts first, a positive number if b does, or 0
+ */
+function lexicalCompare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so that random
+ * samples can be repeated.
+ *
+ * @param {number} seed - An integer seed
+ * @returns {Function} A function returning numbers in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+
+/**
+ * A set of integers stored as sorted, disjoint, non-adjacent inclusive runs, so that
+ * long ranges take constant space and range queries take time proportional to the
+ * number of runs rather than the number of integers. Collection uses it to store indexes.
+ *
+ * @private
+ */
+class IntervalSet {
+
+    #runs;
+    #size;
+    #offsets = null;
+    #frozen = false;
+
+    /**
+     * Creates an IntervalSet from integers in any order.
+     *
+     * @param {Iterable<number>} values - The integers to store
+     * @returns {IntervalSet} A new IntervalSet
+     * @throws {Error} If any value is not an integer
+     */
+    static from(values) {
+        const sorted = Array.from(values);
+        for (const value of sorted) {
+            if (!Number.isInteger(value)) {
+                throw new Error('All indexes must be integers');
+            }
+        }
+        sorted.sort((a, b) => a - b);
+
+        const runs = [];
+        for (const value of sorted) {
+            const last = runs[runs.length - 1];
+            if (last && value <= last[1] + 1) {
+                last[1] = Math.max(last[1], value);
+            } else {
+                runs.push([value, value]);
+            }
+        }
+        return new IntervalSet(runs);
+    }
+
+    /**
+     * @param {[number, number][]} [runs=[]] - Sorted, disjoint, non-adjacent inclusive runs.
+     *     The set takes ownership of the array.
+     */
+    constructor(runs = []) {
+        this.#runs = runs;
+        this.#size = runs.reduce((total, [start, end]) => total + end - start + 1, 0);
+    }
+
+    /**
+     * Prevents any further change to the set. Copies of a frozen set can be changed.
+     *
+     * @returns {IntervalSet} This set, for chaining
+     */
+    freeze() {
+        this.#frozen = true;
+        Object.freeze(this.#runs);
+        return this;
+    }
+
+    /** @returns {number} The number of integers in the set */
+    get size() {
+        return this.#size;
+    }
+
+    /** @returns {[number, number][]} A copy of the runs, as inclusive [start, end] pairs */
+    get runs() {
+        return this.#runs.map(([start, end]) => [start, end]);
+    }
+
+    /** @returns {number|undefined} The smallest integer in the set */
+    get first() {
+        return this.#runs.length ? this.#runs[0][0] : undefined;
+    }
+
+    /** @returns {number|undefined} The largest integer in the set */
+    get last() {
+        return this.#runs.length ? this.#runs[this.#runs.length - 1][1] : undefined;
+    }
+
+    /** @returns {IntervalSet} The integers between the runs */
+    get gaps() {
+        const gaps = [];
+        for (let i = 1; i < this.#runs.length; i++) {
+            gaps.push([this.#runs[i - 1][1] + 1, this.#runs[i][0] - 1]);
+        }
+        return new IntervalSet(gaps);
+    }
+
+    *[Symbol.iterator]() {
+        for (const [start, end] of this.#runs) {
+            for (let i = start; i <= end; i++) {
+                yield i;
+            }
+        }
+    }
+
+    /**
+     * Iterates the integers lazily from a position.
+     *
+     * @param {Object} [options] - Optional configuration
+     * @param {number} [options.start=0] - Position to start from, counted in iteration order.
+     *     Negative positions count back from the end of the iteration.
+     * @param {boolean} [options.reverse=false] - Whether to iterate in descending order
+     * @yields {number} The integers from the start position
+     */
+    *values({ start = 0, reverse = false } = {}) {
+        const first = start < 0 ? Math.max(this.#size + start, 0) : start;
+        if (first >= this.#size) return;
+
+        const from = this.#locate(reverse ? this.#size - 1 - first : first);
+        if (reverse) {
+            for (let r = from.run; r >= 0; r--) {
+                const [runStart, runEnd] = this.#runs[r];
+                for (let i = r === from.run ? from.value : runEnd; i >= runStart; i--) {
+                    yield i;
+                }
+            }
+        } else {
+            for (let r = from.run; r < this.#runs.length; r++) {
+                const [runStart, runEnd] = this.#runs[r];
+                for (let i = r === from.run ? from.value : runStart; i <= runEnd; i++) {
+                    yield i;
+                }
+            }
+        }
+    }
+
+    /**
+     * Gets the integer at a position in ascending order.
+     *
+     * @param {number} position - The position. Negative positions count back from the end.
+     * @returns {number|undefined} The integer, or undefined if the position is out of range
+     */
+    at(position) {
+        const normalized = position < 0 ? this.#size + position : position;
+        if (!Number.isInteger(normalized) || normalized < 0 || normalized >= this.#size) {
+            return undefined;
+        }
+        return this.#locate(normalized).value;
+    }
+
+    forEach(callback) {
+        for (const value of this) {
+            callback(value);
+        }
+    }
+
+    has(value) {
+        const i = this.#lastStartingAtOrBefore(value);
+        return i >= 0 && value <= this.#runs[i][1];
+    }
+
+    add(value) {
+        return this.addRange(value, value);
+    }
+
+    delete(value) {
+        const size = this.#size;
+        this.deleteRange(value, value);
+        return this.#size !== size;
+    }
+
+    /**
+     * Adds every integer from start to end, inclusive.
+     *
+     * @param {number} start - The first integer to add
+     * @param {number} end - The last integer to add
+     * @returns {IntervalSet} This set, for chaining
+     */
+    addRange(start, end) {
+        this.#assertMutable();
+
+        // Runs that overlap or touch the new run are merged into it
+        const lo = this.#firstEndingAtOrAfter(start - 1);
+        const hi = this.#lastStartingAtOrBefore(end + 1);
+        let removed = 0;
+        for (let i = lo; i <= hi; i++) {
+            removed += this.#runs[i][1] - this.#runs[i][0] + 1;
+        }
+        const merged = lo <= hi
+            ? [Math.min(start, this.#runs[lo][0]), Math.max(end, this.#runs[hi][1])]
+            : [start, end];
+        this.#runs.splice(lo, Math.max(hi - lo + 1, 0), merged);
+        this.#offsets = null;
+        this.#size += merged[1] - merged[0] + 1 - removed;
+        return this;
+    }
+
+    /**
+     * Deletes every integer from start to end, inclusive.
+     *
+     * @param {number} start - The first integer to delete
+     * @param {number} end - The last integer to delete
+     * @returns {IntervalSet} This set, for chaining
+     */
+    deleteRange(start, end) {
+        this.#assertMutable();
+
+        const lo = this.#firstEndingAtOrAfter(start);
+        const hi = this.#lastStartingAtOrBefore(end);
+        if (lo > hi) return this;
+
+        const kept = [];
+        let removed = 0;
+        for (let i = lo; i <= hi; i++) {
+            removed += this.#runs[i][1] - this.#runs[i][0] + 1;
+        }
+        if (this.#runs[lo][0] < start) {
+            kept.push([this.#runs[lo][0], start - 1]);
+        }
+        if (this.#runs[hi][1] > end) {
+            kept.push([end + 1, this.#runs[hi][1]]);
+        }
+        this.#runs.splice(lo, hi - lo + 1, ...kept);
+        this.#offsets = null;
+        this.#size -= removed - kept.reduce((total, [s, e]) => total + e - s + 1, 0);
+        return this;
+    }
+
+    /**
+     * Copies the set in time proportional to the number of runs. Runs are replaced rather
+     * than changed in place, so the copy shares them with this set.
+     *
+     * @returns {IntervalSet} A new set with the same integers
+     */
+    copy() {
+        return new IntervalSet(this.#runs.slice());
+    }
+
+    union(other) {
+        const result = this.copy();
+        for (const [start, end] of other.#runs) {
+            result.addRange(start, end);
+        }
+        return result;
+    }
+
+    intersection(other) {
+        const runs = [];
+        let i = 0;
+        let j = 0;
+        while (i < this.#runs.length && j < other.#runs.length) {
+            const start = Math.max(this.#runs[i][0], other.#runs[j][0]);
+            const end = Math.min(this.#runs[i][1], other.#runs[j][1]);
+            if (start <= end) {
+                runs.push([start, end]);
+            }
+            if (this.#runs[i][1] < other.#runs[j][1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        return new IntervalSet(runs);
+    }
+
+    difference(other) {
+        const result = this.copy();
+        for (const [start, end] of other.#runs) {
+            result.deleteRange(start, end);
+        }
+        return result;
+    }
+
+    /**
+     * Finds the run holding the integer at a position, by binary search over the
+     * number of integers before each run.
+     *
+     * @param {number} position - A position from 0 to size - 1
+     * @returns {{run: number, value: number}} The run's position in the runs, and the integer
+     */
+    #locate(position) {
+        if (this.#offsets === null) {
+            this.#offsets = [];
+            let total = 0;
+            for (const [start, end] of this.#runs) {
+                this.#offsets.push(total);
+                total += end - start + 1;
+            }
+        }
+        let lo = 0;
+        let hi = this.#offsets.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >>> 1;
+            if (this.#offsets[mid] <= position) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return { run: lo, value: this.#runs[lo][0] + position - this.#offsets[lo] };
+    }
+
+    #assertMutable() {
+        if (this.#frozen) {
+            throw new TypeError('Cannot change the indexes of a frozen collection');
+        }
+    }
+
+    #firstEndingAtOrAfter(value) {
+        let lo = 0;
+        let hi = this.#runs.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (this.#runs[mid][1] < value) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    #lastStartingAtOrBefore(value) {
+        let lo = 0;
+        let hi = this.#runs.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (this.#runs[mid][0] <= value) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo - 1;
+    }
+
+}
+
+
+/**
+ * Converts between frame counts and SMPTE timecode. Timecode counts frames at the
+ * nominal rate of the frame rate: 24 for 23.976, 30 for 29.97 and 60 for 59.94.
+ * Drop-frame timecode, written with a semicolon before the frames ("01:00:00;00"),
+ * skips frame numbers at the start of each minute except every tenth so that it stays
+ * in step with the clock. It is defined for 29.97 and 59.94 fps only.
+ */
+class Timecode {
+
+    static #PATTERN = /^(\d+):(\d{2}):(\d{2})([:;])(\d+)$/;
+
+    /**
+     * Converts a frame count to timecode.
+     *
+     * @param {number} frame - Frames since 00:00:00:00, a non-negative integer
+     * @param {(number|string)} rate - The frame rate, e.g. 24, 23.976, 29.97 or "30000/1001"
+     * @param {Object} [options] - Optional configuration
+     * @param {boolean} [options.dropFrame=false] - Whether to write drop-frame timecode
+     * @returns {string} The timecode
+     * @throws {Error} If the frame, the rate or drop-frame for the rate is invalid
+     *
+     * @example
+     * Timecode.fromFrame(86400, 24)                          // '01:00:00:00'
+     * Timecode.fromFrame(107892, 29.97, { dropFrame: true }) // '01:00:00;00'
+     */
+    static fromFrame(frame, rate, { dropFrame = false } = {}) {
+        if (!Number.isInteger(frame) || frame < 0) {
+            throw new Error(`Invalid frame: ${frame}. Expected non-negative integer.`);
+        }
+        const timebase = Timecode.#timebase(rate, dropFrame);
+
+        if (dropFrame) {
+            const dropped = timebase / 15;
+            const framesPerMinute = timebase * 60 - dropped;
+            const framesPerTenMinutes = framesPerMinute * 10 + dropped;
+            const tens = Math.floor(frame / framesPerTenMinutes);
+            const remainder = frame % framesPerTenMinutes;
+            const minutes = remainder > dropped ? Math.floor((remainder - dropped) / framesPerMinute) : 0;
+            frame += dropped * (9 * tens + minutes);
+        }
+
+        const frames = frame % timebase;
+        const totalSeconds = Math.floor(frame / timebase);
+        const fields = [
+            Math.floor(totalSeconds / 3600),
+            Math.floor(totalSeconds / 60) % 60,
+            totalSeconds % 60
+        ].map(field => String(field).padStart(2, '0'));
+        const framesField = String(frames).padStart(String(timebase - 1).length, '0');
+        return `${fields.join(':')}${dropFrame ? ';' : ':'}${framesField}`;
+    }
+
+    /**
+     * Converts timecode to a frame count.
+     *
+     * @param {string} timecode - The timecode, e.g. "01:00:00:00" or "01:00:00;00"
+     * @param {(number|string)} rate - The frame rate, e.g. 24, 23.976, 29.97 or "30000/1001"
+     * @param {Object} [options] - Optional configuration
+     * @param {boolean} [options.dropFrame=null] - Whether the timecode is drop-frame. When null,
+     *     timecode with a semicolon before the frames is read as drop-frame.
+     * @returns {number} Frames since 00:00:00:00
+     * @throws {Error} If the timecode, the rate or drop-frame for the rate is invalid
+     *
+     * @example
+     * Timecode.toFrame('01:00:04:04', 24)     // 86500
+     * Timecode.toFrame('01:00:00;00', 29.97)  // 107892
+     */
+    static toFrame(timecode, rate, { dropFrame = null } = {}) {
+        const match = Timecode.#PATTERN.exec(String(timecode).trim());
+        if (!match) {
+            throw new Error(`Invalid timecode: ${timecode}. Expected HH:MM:SS:FF.`);
+        }
+        const [hours, minutes, seconds, frames] = [match[1], match[2], match[3], match[5]].map(Number);
+        const isDropFrame = dropFrame ?? match[4] === ';';
+        const timebase = Timecode.#timebase(rate, isDropFrame);
+
+        if (minutes > 59 || seconds > 59 || frames >= timebase) {
+            throw new Error(`Invalid timecode: ${timecode}. Fields are out of range at ${timebase} frames per second.`);
+        }
+
+        const totalMinutes = hours * 60 + minutes;
+        let frame = (totalMinutes * 60 + seconds) * timebase + frames;
+        if (isDropFrame) {
+            const dropped = timebase / 15;
+            if (seconds === 0 && frames < dropped && minutes % 10 !== 0) {
+                throw new Error(`Invalid drop-frame timecode: ${timecode}. Frames 0-${dropped - 1} are skipped at this minute.`);
+            }
+            frame -= dropped * (totalMinutes - Math.floor(totalMinutes / 10));
+        }
+        return frame;
+    }
+
+    /**
+     * Gets the nominal frames per second of a frame rate, checking drop-frame is defined for it.
+     *
+     * @private
+     * @param {(number|string)} rate - The frame rate, as a number or a "numerator/denominator" string
+     * @param {boolean} dropFrame - Whether drop-frame timecode is wanted
+     * @returns {number} The nominal frames per second
+     * @throws {Error} If the rate is invalid, or drop-frame is wanted at a rate without it
+     */
+    static #timebase(rate, dropFrame) {
+        let fps = Number(rate);
+        if (typeof rate === 'string' && rate.includes('/')) {
+            const [numerator, denominator] = rate.split('/').map(Number);
+            fps = numerator / denominator;
+        }
+        if (!Number.isFinite(fps) || fps <= 0) {
+            throw new Error(`Invalid frame rate: ${rate}`);
+        }
+
+        const timebase = Math.round(fps);
+        if (dropFrame && (timebase % 30 !== 0 || Math.abs(fps - timebase * 1000 / 1001) > 0.01)) {
+            throw new Error(`Drop-frame timecode is not defined at ${rate} fps. Expected 29.97 or 59.94.`);
+        }
+        return timebase;
+    }
+
+}
+
+
 /**
  * A class representing a collection of items with numeric indexes and consistent formatting.
  * Collections maintain a set of unique indexes and format them with a common head, tail,
@@ -85,16 +716,16 @@ function range(start = 0, stop, step) {
  */
 class Collection {
 
-    static #DIGITS_PATTERN = '(?<index>(?<padding>0*)\\d+)';
+    static #DIGITS_PATTERN = '(?<index>-?(?<padding>0*)\\d+)';
 
     /**
      * Predefined regex patterns for common sequence formats.
      * All patterns provide named capture groups:
-     * - index: The full number including any padding
-     * - padding: Any leading zeros
+     * - index: The full number including any sign and padding
+     * - padding: Any leading zeros following the sign
      * @const {Object}
-     * @property {string} digits - Matches plain digit sequences (e.g., "001", "1", "0123")
-     * @property {string} frames - Matches frame numbers between dots (e.g., ".001.", ".1.", ".0123.")
+     * @property {string} digits - Matches plain digit sequences (e.g., "001", "1", "0123", "-010")
+     * @property {string} frames - Matches frame numbers between dots (e.g., ".001.", ".1.", ".-010.")
      * @property {string} versions - Matches version numbers with 'v' prefix (e.g., "v001", "v1", "v0123")
      */
     static patterns = Object.freeze({
@@ -103,19 +734,110 @@ class Collection {
         versions: `v${Collection.#DIGITS_PATTERN}`
     });
 
+    static #JSON_VERSION = 1;
+
+    static #NORMALIZATIONS = [null, 'NFC', 'NFD'];
+
+    static #PADDING_MODES = ['exact', 'minimum'];
+
+    static #SORT_ORDERS = {
+        natural: naturalCompare,
+        lexical: lexicalCompare,
+        insertion: null
+    };
+
+    static #TIMECODE_RANGE_PATTERN = '\\d+:\\d{2}:\\d{2}[:;]\\d+(?: *- *\\d+:\\d{2}:\\d{2}[:;]\\d+)?';
+
+    static #PADDING_TOKEN_PATTERN = '%\\d*d|(?<!#)#+|(?<!@)@+|\\$F\\d*|\\$\\{F\\d*\\}|<f>';
+
+    static #RANGE_LIST_PATTERN = '-?\\d+(?:--?\\d+(?:x\\d+)?)?(?:, *-?\\d+(?:--?\\d+(?:x\\d+)?)?)*';
+
+    /**
+     * Padding token writers for the notations used by common applications, keyed by style name.
+     * Each takes a padding width and returns the token that stands in for the index.
+     * @const {Object}
+     * @property {Function} printf - printf style, e.g. "%04d" or "%d" (Nuke, ffmpeg)
+     * @property {Function} hash - One hash per digit, e.g. "####" or "#" (Nuke, After Effects)
+     * @property {Function} at - One at-sign per digit, e.g. "@@@@" or "@" (RV)
+     * @property {Function} houdini - Houdini frame variable, e.g. "$F4" or "$F"
+     * @property {Function} maya - Maya frame token "<f>", which does not record padding
+     */
+    static paddingStyles = Object.freeze({
+        printf: padding => (padding ? `%0${padding}d` : '%d'),
+        hash: padding => '#'.repeat(Math.max(padding, 1)),
+        at: padding => '@'.repeat(Math.max(padding, 1)),
+        houdini: padding => (padding ? `$F${padding}` : '$F'),
+        maya: () => '<f>'
+    });
+
+    /**
+     * Frame list writers for common render farms, keyed by farm name. Each takes the
+     * {start, end, step} runs of a collection's indexes and returns the frame list.
+     * @const {Object}
+     * @property {Function} deadline - Comma-separated runs with "x" steps, e.g. "1-10,20,30-40x2" (Deadline)
+     * @property {Function} opencue - The frame spec of OpenCue, which has the same syntax as Deadline
+     * @property {Function} tractor - Comma-separated runs of consecutive frames, e.g. "1-10,20,30,32" (Tractor),
+     *     with stepped runs written out frame by frame
+     * @property {Function} royalrender - One "SeqStart=1 SeqEnd=10 SeqStep=1" line per run, as the
+     *     Royal Render console submitter takes them
+     */
+    static frameListStyles = Object.freeze({
+        deadline: runs => runs.map(({ start, end, step }) => Collection.#formatRun(start, end, step, 'x')).join(','),
+        opencue: runs => runs.map(({ start, end, step }) => Collection.#formatRun(start, end, step, 'x')).join(','),
+        tractor: runs => runs
+            .flatMap(({ start, end, step }) => (step === 1 ? [[start, end]] : [...range(start, end + 1, step)].map(i => [i, i])))
+            .map(([start, end]) => Collection.#formatRun(start, end, 1, null))
+            .join(','),
+        royalrender: runs => runs.map(({ start, end, step }) => `SeqStart=${start} SeqEnd=${end} SeqStep=${step}`).join('\n')
+    });
+
+    /**
+     * Reads the padding width from a padding token in any supported notation.
+     * A single "#" or "@" is read as unpadded, as it is in the applications that write it.
+     *
+     * @param {string} token - A padding token such as "%04d", "####", "@@@", "$F4", "${F4}" or "<f>"
+     * @returns {number} The padding width, zero for unpadded tokens
+     * @throws {Error} If the token is not a recognized padding token
+     *
+     * @example
+     * Collection.parsePadding('####')  // 4
+     * Collection.parsePadding('$F3')   // 3
+     * Collection.parsePadding('%d')    // 0
+     */
+    static parsePadding(token) {
+        if (!new RegExp(`^(?:${Collection.#PADDING_TOKEN_PATTERN})$`).test(token)) {
+            throw new Error(`Invalid padding token: ${token}`);
+        }
+        if (token[0] === '#' || token[0] === '@') {
+            return token.length > 1 ? token.length : 0;
+        }
+        const digits = token.match(/\d+/);
+        return digits ? parseInt(digits[0], 10) : 0;
+    }
+
     /**
      * Parses a string representing a collection with numeric patterns and returns a Collection object.
      *
      * @param {string} string - The input string to parse, expected to contain head, padding, tail and ranges.
-     *                         Example: "file_%02d.txt [1-5]" or "img_%03d.exr [1-10] [-4-6]"
+     *                         Example: "file_%02d.txt [1-5]" or "img_####.exr [1-10]"
      * @param {Object} options - Optional configuration object.
      * @param {string} [options.pattern='{head}{padding}{tail} [{ranges}]'] - The pattern template to match against.
      *                         Can contain the following placeholders:
      *                         - {head}: The prefix before the padding pattern
-     *                         - {padding}: The padding pattern (e.g., %02d)
+     *                         - {padding}: The padding token in any notation accepted by
+     *                           Collection.parsePadding (e.g., %02d, ##, @@, $F2, <f>)
      *                         - {tail}: The suffix after the padding pattern
      *                         - {ranges}: The numeric ranges to include
      *                         - {holes}: The numeric ranges to exclude
+     *                         Ranges may contain negative numbers, e.g. "-10--1, 3", and
+     *                         Nuke or Houdini step suffixes, e.g. "1001-1199x2" or "1001-1199:2".
+     * @param {boolean} [options.caseSensitive=true] - Whether the collection matches members case-sensitively
+     * @param {('NFC'|'NFD'|null)} [options.normalization=null] - The Unicode normalization form the
+     *                         collection applies before matching members
+     * @param {('exact'|'minimum')} [options.paddingMode='exact'] - How the collection reads padding
+     * @param {Object} [options.timecode=null] - Frame rate settings that allow {range}, {ranges} and
+     *                         {holes} to be written as timecode, e.g. "01:00:00:00-01:00:04:04". See
+     *                         Collection#timecodes for the settings.
      *
      * @returns {Collection} A Collection instance containing the parsed components and indexes.
      *
@@ -133,7 +855,7 @@ class Collection {
      *
      * @example
      * // Using holes to exclude numbers
-     * const coll = parseCollection('img_%03d.jpg [1-10] [-4-6]');
+     * const coll = parseCollection('img_%03d.jpg [1-10] [4-6]', {pattern: '{head}{padding}{tail} [{range}] [{holes}]'});
      * // Results in collection with indexes [1, 2, 3, 7, 8, 9, 10]
      *
      * @example
@@ -143,18 +865,24 @@ class Collection {
      *     { pattern: 'Sequence ({head}) padding:{padding} contains {ranges}' }
      * );
      */
-    static parse(string, {pattern = '{head}{padding}{tail} [{ranges}]'} = {}) {
+    static parse(string, {
+        pattern = '{head}{padding}{tail} [{ranges}]',
+        caseSensitive = true,
+        normalization = null,
+        paddingMode = 'exact',
+        timecode = null
+    } = {}) {
         const expressions = {
             head: '(?<head>.*)',
             tail: '(?<tail>.*)',
-            padding: '%(?<padding>\\d*)d',
-            range: '(?<range>\\d+-\\d+)?',
-            ranges: '(?<ranges>[\\d ,\\-]+)?',
-            holes: '(?<holes>[\\d ,\\-]+)'
+            padding: `(?<padding>${Collection.#PADDING_TOKEN_PATTERN})`,
+            range: `(?<range>-?\\d+--?\\d+(?:[x:]\\d+)?|${Collection.#TIMECODE_RANGE_PATTERN})?`,
+            ranges: '(?<ranges>[\\d ,\\-x:;]+)?',
+            holes: '(?<holes>[\\d ,\\-x:;]+)'
         };
 
         // Render pattern template with regex patterns
-        let renderedPattern = Collection.#escapeRegExp(pattern);
+        let renderedPattern = escapeRegExp(pattern);
         for (const [key, value] of Object.entries(expressions)) {
             renderedPattern = renderedPattern.replace(`\\{${key}\\}`, value);
         }
@@ -167,40 +895,171 @@ class Collection {
         }
         const groups = match.groups ?? {};
 
-        const head = groups.head ?? '';
-        const tail = groups.tail ?? '';
-        const padding = groups.padding ? parseInt(groups.padding, 10) : 0;
+        return Collection.#fromParts(string, {
+            head: groups.head,
+            tail: groups.tail,
+            padding: groups.padding ? Collection.parsePadding(groups.padding) : 0,
+            range: groups.range,
+            ranges: groups.ranges,
+            holes: groups.holes
+        }, { caseSensitive, normalization, paddingMode, timecode });
+    }
+
+    /**
+     * Parsers for the inline range notations of common applications, keyed by notation name,
+     * in the order Collection.parseAny tries them. Each takes a string and the options of
+     * Collection.parse, and returns a Collection or throws if the string is not in its notation.
+     * @const {Object}
+     * @property {Function} seqo - The default pattern of Collection.parse, e.g. "img.%04d.exr [1-100]"
+     * @property {Function} nuke - A padding token followed by a space and ranges, e.g. "img.%04d.exr 1-100"
+     *     or "img.####.exr 1-100"
+     * @property {Function} houdini - A Houdini frame variable with optional ranges, e.g. "img.$F4.exr"
+     * @property {Function} rv - Ranges directly before the padding token, e.g. "img.1-100#.exr" (RV, fileseq).
+     *     Each "#" stands for four digits and each "@" for one.
+     * @property {Function} djv - A padded range in place of the index, e.g. "img.0001-0100.exr" (DJV)
+     */
+    static notations = Object.freeze({
+        seqo: (string, options) => Collection.parse(string, options),
+        nuke: (string, options) => {
+            const groups = Collection.#matchNotation(
+                string,
+                `^(?<head>.*?)(?<padding>%\\d*d|#+)(?<tail>.*?) (?<ranges>${Collection.#RANGE_LIST_PATTERN})$`,
+                'img.%04d.exr 1-100'
+            );
+            return Collection.#fromParts(string, { ...groups, padding: Collection.parsePadding(groups.padding) }, options);
+        },
+        houdini: (string, options) => {
+            const groups = Collection.#matchNotation(
+                string,
+                `^(?<head>.*?)(?<padding>\\$F\\d*|\\$\\{F\\d*\\})(?<tail>.*?)(?: (?<ranges>${Collection.#RANGE_LIST_PATTERN}))?$`,
+                'img.$F4.exr'
+            );
+            return Collection.#fromParts(string, { ...groups, padding: Collection.parsePadding(groups.padding) }, options);
+        },
+        rv: (string, options) => {
+            const groups = Collection.#matchNotation(
+                string,
+                `^(?<head>.*?)(?<ranges>${Collection.#RANGE_LIST_PATTERN})(?<padding>#+|@+|%\\d*d)(?<tail>.*)$`,
+                'img.1-100#.exr'
+            );
+            const token = groups.padding;
+            const padding = token[0] === '#' ? token.length * 4 : Collection.parsePadding(token);
+            return Collection.#fromParts(string, { ...groups, padding }, options);
+        },
+        djv: (string, options) => {
+            const { head, start, end, tail } = Collection.#matchNotation(
+                string,
+                // The range stands in for the padding token, so strings with one are in another notation
+                `^(?!.*(?:${Collection.#PADDING_TOKEN_PATTERN}))(?<head>.*?)(?<start>-?\\d+)-(?<end>-?\\d+)(?<tail>(?:\\D.*)?)$`,
+                'img.0001-0100.exr'
+            );
+
+            // Either bound with a leading zero gives the padding, which the other must share
+            const isPadded = bound => /^-?0\d/.test(bound);
+            if ((isPadded(start) || isPadded(end)) && start.length !== end.length) {
+                throw new Error(`Range ${start}-${end} is not padded consistently`);
+            }
+            const padding = isPadded(start) || isPadded(end) ? start.length : 0;
+            return Collection.#fromParts(string, { head, tail, padding, range: `${start}-${end}` }, options);
+        }
+    });
+
+    /**
+     * Parses a string in the first notation that fits it, trying each of Collection.notations
+     * in turn, so that sequences written by different applications can be read alike.
+     *
+     * @param {string} string - The string to parse, e.g. "img.1-100#.exr" or "img.%04d.exr 1-100"
+     * @param {Object} [options] - Optional configuration. Any other options are passed to each notation,
+     *     as for Collection.parse.
+     * @param {Object} [options.notations=Collection.notations] - The notations to try, in order, keyed by
+     *     name. Pass a subset, or add parsers of your own, e.g. { ...Collection.notations, custom }.
+     * @returns {{collection: Collection, notation: string}} The collection, and the name of the notation it was read in
+     * @throws {Error} If no notation fits, listing why each one did not
+     *
+     * @example
+     * const { collection, notation } = Collection.parseAny('img.0001-0100.exr');
+     * // notation === 'djv'
+     * // collection.format() => 'img.%04d.exr [1-100]'
+     */
+    static parseAny(string, { notations = Collection.notations, ...options } = {}) {
+        const failures = [];
+        for (const [notation, parser] of Object.entries(notations)) {
+            try {
+                return { collection: parser(string, options), notation };
+            } catch (error) {
+                failures.push(`${notation}: ${error.message}`);
+            }
+        }
+        throw new Error(`String "${string}" does not match any notation${failures.map(failure => `\n    ${failure}`).join('')}`);
+    }
+
+    static #matchNotation(string, expression, example) {
+        const match = new RegExp(expression).exec(string);
+        if (!match) {
+            throw new Error(`Expected a string like "${example}"`);
+        }
+        return match.groups;
+    }
 
+    /**
+     * Creates a collection from the parts of a parsed string.
+     *
+     * @private
+     * @param {string} string - The parsed string, for error messages
+     * @param {Object} parts - The head, tail, padding width, and range, ranges and holes strings, if any
+     * @param {Object} options - The matching policy and timecode settings, as for Collection.parse
+     * @returns {Collection} The collection
+     * @throws {Error} If the ranges or holes are invalid
+     */
+    static #fromParts(string, {
+        head = '',
+        tail = '',
+        padding = 0,
+        range = null,
+        ranges = null,
+        holes = null
+    }, {
+        caseSensitive = true,
+        normalization = null,
+        paddingMode = 'exact',
+        timecode = null
+    } = {}) {
         const collection = new Collection({
             head,
             tail,
             padding,
-            indexes: []
+            indexes: [],
+            caseSensitive,
+            normalization,
+            paddingMode
         });
 
         try {
 
             // Handle single range
-            if (groups.range) {
-                const indexes = Collection.#parsePart(groups.range);
-                collection.add([...indexes]);
+            if (range) {
+                for (const [start, end] of Collection.#parsePart(range, timecode)) {
+                    collection._indexes.addRange(start, end);
+                }
             }
 
             // Handle multiple comma-separated ranges
-            if (groups.ranges) {
-                const parts = Collection.#splitRanges(groups.ranges);
+            if (ranges) {
+                const parts = Collection.#splitRanges(ranges);
                 for (const part of parts) {
-                    const indexes = Collection.#parsePart(part);
-                    collection.add([...indexes]);
+                    for (const [start, end] of Collection.#parsePart(part, timecode)) {
+                        collection._indexes.addRange(start, end);
+                    }
                 }
             }
 
             // Remove any holes
-            if (groups.holes) {
-                const parts = Collection.#splitRanges(groups.holes);
+            if (holes) {
+                const parts = Collection.#splitRanges(holes);
                 for (const part of parts) {
-                    const indexes = Collection.#parsePart(part);
-                    collection.remove([...indexes]);
+                    for (const [start, end] of Collection.#parsePart(part, timecode)) {
+                        collection._indexes.deleteRange(start, end);
+                    }
                 }
             }
 
@@ -211,8 +1070,12 @@ class Collection {
         return collection;
     }
 
-    static #escapeRegExp(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    static #timecodeToIndex(string, { rate, dropFrame = false, offset = 0 }) {
+        return Timecode.toFrame(string, rate, { dropFrame: dropFrame || null }) - offset;
+    }
+
+    static #indexToTimecode(index, { rate, dropFrame = false, offset = 0 }) {
+        return Timecode.fromFrame(index + offset, rate, { dropFrame });
     }
 
     static #splitRanges(rangesStr) {
@@ -222,22 +1085,49 @@ class Collection {
             .filter(part => part.length > 0);  // Skip empty parts from "1,,2" or "1, ,2"
     }
 
-    static #parsePart(part) {
+    /**
+     * Parses one part of a ranges string into runs of consecutive indexes, so that
+     * long ranges are never expanded into individual indexes.
+     *
+     * @private
+     * @param {string} part - A number, range or stepped range, e.g. "5", "1-10" or "1-10x2",
+     *     or a timecode or timecode range, e.g. "01:00:00:00-01:00:04:04"
+     * @param {Object|null} timecode - Frame rate settings for reading timecode
+     * @returns {[number, number][]} Inclusive [start, end] runs
+     */
+    static #parsePart(part, timecode) {
         part = part.trim();
-        if (part.includes('-')) {
-            const [start, end] = Collection.#parseRange(part);
-            return range(start, end + 1);
+        if (new RegExp(`^${Collection.#TIMECODE_RANGE_PATTERN}$`).test(part)) {
+            if (timecode === null) {
+                throw new Error(`Timecode ${part} requires the timecode option`);
+            }
+            const [start, end = start] = part.split('-').map(tc => Collection.#timecodeToIndex(tc, timecode));
+            return [[Math.min(start, end), Math.max(start, end)]];
+        }
+        // A leading hyphen is a sign, any later one separates a range
+        if (part.slice(1).includes('-') || /[x:]/.test(part)) {
+            const [first, last, step = 1] = Collection.#parseRange(part);
+            // Reversed ranges such as "1009-1001x2" cover the same indexes as "1001-1009x2"
+            const start = Math.min(first, last);
+            const end = Math.max(first, last);
+            if (step === 1) {
+                return [[start, end]];
+            }
+            return [...range(start, end + 1, step)].map(i => [i, i]);
         }
         const num = parseInt(part, 10);
         if (isNaN(num)) {
             throw new Error(`Invalid number: ${part}`);
         }
-        return [num];
+        return [[num, num]];
     }
 
     static #parseRange(rangeStr) {
-        const parts = rangeStr.trim().split('-');
-        if (parts.length !== 2 || parts.some(part => part === '')) {
+        // Split off a Nuke ("x2") or Houdini (":2") step suffix
+        const [, bounds, stepStr] = /^(.*?)(?:[x:](.*))?$/.exec(rangeStr.trim());
+        const match = /^(-?[^-]*)-(-?[^-]*)$/.exec(bounds);
+        const parts = match ? [match[1].trim(), match[2].trim()] : [];
+        if (parts.length !== 2 || parts.some(part => part === '' || part === '-')) {
             throw new Error(`Invalid range format: ${rangeStr}`);
         }
         const [start, end] = parts.map(p => {
@@ -247,7 +1137,106 @@ class Collection {
             }
             return num;
         });
-        return [start, end];
+        if (stepStr === undefined) {
+            return [start, end];
+        }
+        const step = Number(stepStr.trim());
+        if (!Number.isInteger(step) || step <= 0 || stepStr.trim() === '') {
+            throw new Error(`Invalid step in range: ${rangeStr}`);
+        }
+        return [start, end, step];
+    }
+
+    /**
+     * Writes an arithmetic run as "5", "1-10" or, with a step, "1-10x3".
+     *
+     * @private
+     * @param {number} start - The first index
+     * @param {number} end - The last index
+     * @param {number} step - The step between indexes
+     * @param {(string|null)} stepSeparator - Written between the range and a step other than 1
+     * @returns {string} The run
+     */
+    static #formatRun(start, end, step, stepSeparator) {
+        if (start === end) return `${start}`;
+        return step === 1 ? `${start}-${end}` : `${start}-${end}${stepSeparator}${step}`;
+    }
+
+    /**
+     * Splits runs of consecutive indexes into chunks of runs without expanding them.
+     *
+     * @private
+     * @param {[number, number][]} runs - Runs of consecutive indexes, in ascending order
+     * @param {Function} sizeOf - Takes the position of a chunk and returns its number of indexes
+     * @returns {[number, number][][]} The runs of each chunk
+     */
+    static #splitRuns(runs, sizeOf) {
+        const chunks = [];
+        let chunk = [];
+        let remaining = sizeOf(0);
+        for (const [first, end] of runs) {
+            let start = first;
+            while (start <= end) {
+                const last = Math.min(end, start + remaining - 1);
+                chunk.push([start, last]);
+                remaining -= last - start + 1;
+                start = last + 1;
+                if (remaining === 0) {
+                    chunks.push(chunk);
+                    chunk = [];
+                    remaining = sizeOf(chunks.length);
+                }
+            }
+        }
+        if (chunk.length > 0) {
+            chunks.push(chunk);
+        }
+        return chunks;
+    }
+
+    /**
+     * Splits runs of consecutive indexes into arithmetic runs. Runs of two or more
+     * consecutive indexes are kept; lone indexes between them are grouped greedily from
+     * the lowest into stepped runs of at least three indexes, or otherwise left alone.
+     *
+     * @private
+     * @param {[number, number][]} runs - Runs of consecutive indexes, in ascending order
+     * @returns {{start: number, end: number, step: number}[]} The arithmetic runs, in order
+     */
+    static #stepRuns(runs) {
+        const result = [];
+        let singles = [];
+
+        const flushSingles = () => {
+            let i = 0;
+            while (i < singles.length) {
+                const start = singles[i];
+                const step = singles[i + 1] - start;
+                let j = i + 1;
+                while (j + 1 < singles.length && singles[j + 1] - singles[j] === step) {
+                    j++;
+                }
+                if (j - i < 2) {
+                    result.push({ start, end: start, step: 1 });
+                    i++;
+                } else {
+                    result.push({ start, end: singles[j], step });
+                    i = j + 1;
+                }
+            }
+            singles = [];
+        };
+
+        for (const [start, end] of runs) {
+            if (start === end) {
+                singles.push(start);
+            } else {
+                flushSingles();
+                result.push({ start, end, step: 1 });
+            }
+        }
+        flushSingles();
+        return result;
     }
 
 
@@ -256,38 +1245,252 @@ class Collection {
      * @param {Iterable<string>} strings - Items to assemble into collections
      * @param {Object} [options] - Optional configuration
      * @param {(RegExp|string)[]} [options.patterns=null] - Optional patterns to limit collection possibilities
+     * @param {(string|string[])} [options.globs=null] - Optional glob or globs items must match to be
+     *     assembled, e.g. "*.exr" or ["*.exr", "plates/*.{dpx,tif}"]. Other items are left in the remainder.
      * @param {number} [options.minItems=2] - Minimum number of items a collection must have
      * @param {boolean} [options.caseSensitive=true] - Whether to treat items as case-sensitive
+     * @param {('NFC'|'NFD'|null)} [options.normalization=null] - The Unicode normalization form applied
+     *     before grouping, so that composed and decomposed forms of a name group together
+     * @param {('exact'|'minimum')} [options.paddingMode='exact'] - With 'minimum', indexes wider than the
+     *     padding of a padded collection, such as "10000" beside "0999", join that collection
      * @param {boolean} [options.assumePaddedWhenAmbiguous=false] - Whether to assume padding in ambiguous cases
+     * @param {boolean} [options.literalHyphens=false] - Whether a hyphen before an index is kept in the head
+     *     (e.g. "shot-001") rather than read as the sign of a negative index (e.g. "sim.-010.exr")
+     * @param {('natural'|'lexical'|'insertion')} [options.sort='natural'] - How collections and the remainder are
+     *     ordered. 'natural' compares runs of digits by value, so "shot2" sorts before "shot10", and 'lexical'
+     *     compares by code point. Both order collections by head, then tail, then first index. 'insertion'
+     *     keeps the order in which collections and items were first seen.
      * @returns {[Collection[], string[]]} - Tuple of [collections, remainder]
+     * @throws {Error} If the sort order is not one of 'natural', 'lexical' or 'insertion'
      */
     static assemble(strings, {
         patterns = null,
+        globs = null,
         minItems = 2,
         caseSensitive = true,
-        assumePaddedWhenAmbiguous = false
+        normalization = null,
+        paddingMode = 'exact',
+        assumePaddedWhenAmbiguous = false,
+        literalHyphens = false,
+        sort = 'natural'
     } = {}) {
+        const policy = { caseSensitive, normalization, paddingMode };
+        const compare = Collection.#sortOrder(sort);
 
         // Early return for empty pattern list
         if (patterns && patterns.length === 0) {
-            return [[], Array.from(strings)];
+            const remainder = Array.from(strings);
+            return [[], compare === null ? remainder : remainder.sort(compare)];
         }
 
         const { collectionMap, remainder } = Collection.#processStrings(
             strings,
             Collection.#compilePatterns(patterns, caseSensitive),
-            caseSensitive,
+            Collection.#compileGlobs(globs, policy),
+            policy,
+            literalHyphens
         );
 
-        const collections = Collection.#createCollections(collectionMap);
-        const mergedCollections = Collection.#handlePaddingMerges(collections);
+        return Collection.#finishAssembly(collectionMap, remainder, minItems, assumePaddedWhenAmbiguous, policy, compare);
+    }
+
+    /**
+     * Assembles items read asynchronously into discrete collections, as Collection.assemble does.
+     * Only the indexes of matched items are kept while reading, so memory grows with the number
+     * of distinct collections and unmatched items rather than with the number of matched items.
+     *
+     * @param {(AsyncIterable<(string|Buffer)>|Iterable<(string|Buffer)>|Readable)} source - Items to assemble.
+     *     Buffers are decoded as UTF-8. A Node readable stream that is not in object mode is read as text,
+     *     one item per line, skipping empty lines.
+     * @param {Object} [options] - Optional configuration, as for Collection.assemble
+     * @param {(RegExp|string)[]} [options.patterns=null] - Optional patterns to limit collection possibilities
+     * @param {(string|string[])} [options.globs=null] - Optional glob or globs items must match to be
+     *     assembled, e.g. "*.exr" or ["*.exr", "plates/*.{dpx,tif}"]. Other items are left in the remainder.
+     * @param {number} [options.minItems=2] - Minimum number of items a collection must have
+     * @param {boolean} [options.caseSensitive=true] - Whether to treat items as case-sensitive
+     * @param {('NFC'|'NFD'|null)} [options.normalization=null] - The Unicode normalization form applied
+     *     before grouping, so that composed and decomposed forms of a name group together
+     * @param {('exact'|'minimum')} [options.paddingMode='exact'] - With 'minimum', indexes wider than the
+     *     padding of a padded collection, such as "10000" beside "0999", join that collection
+     * @param {boolean} [options.assumePaddedWhenAmbiguous=false] - Whether to assume padding in ambiguous cases
+     * @param {boolean} [options.literalHyphens=false] - Whether a hyphen before an index is kept in the head
+     * @param {('natural'|'lexical'|'insertion')} [options.sort='natural'] - How collections and the remainder are ordered
+     * @returns {Promise<[Collection[], string[]]>} - Tuple of [collections, remainder]
+     * @throws {TypeError} If an item is neither a string nor a Buffer
+     *
+     * @example
+     * const find = spawn('find', ['/archive', '-type', 'f']);
+     * const [collections, remainder] = await Collection.assembleAsync(find.stdout);
+     */
+    static async assembleAsync(source, {
+        patterns = null,
+        globs = null,
+        minItems = 2,
+        caseSensitive = true,
+        normalization = null,
+        paddingMode = 'exact',
+        assumePaddedWhenAmbiguous = false,
+        literalHyphens = false,
+        sort = 'natural'
+    } = {}) {
+        const policy = { caseSensitive, normalization, paddingMode };
+        const compare = Collection.#sortOrder(sort);
+        const readsLines = source instanceof Readable && !source.readableObjectMode;
+        const items = readsLines
+            ? readline.createInterface({ input: source, crlfDelay: Infinity })
+            : source;
+
+        // Early return for empty pattern list
+        if (patterns && patterns.length === 0) {
+            const remainder = [];
+            for await (const value of items) {
+                const item = Collection.#itemText(value);
+                if (readsLines && item === '') continue;
+                remainder.push(item);
+            }
+            return [[], compare === null ? remainder : remainder.sort(compare)];
+        }
+
+        const collectionMap = new Map();
+        const remainder = new Set();
+        const compiledPatterns = Collection.#compilePatterns(patterns, caseSensitive);
+        const filter = Collection.#compileGlobs(globs, policy);
+
+        for await (const value of items) {
+            const item = Collection.#itemText(value);
+            if (readsLines && item === '') continue;
+            if (filter !== null && !filter(item)) {
+                remainder.add(item);
+                continue;
+            }
+            Collection.#processItem(item, compiledPatterns, policy, literalHyphens, collectionMap, remainder);
+        }
+
+        return Collection.#finishAssembly(collectionMap, remainder, minItems, assumePaddedWhenAmbiguous, policy, compare);
+    }
+
+    /**
+     * Assembles paths into collections by directory. Paths are split on "/" and "\", and
+     * only the basenames in each directory are assembled, so numbers in directory names such
+     * as "sh010/v003/" never form collections of files. The heads of the returned collections
+     * and the items of the remainder include the directory, as written.
+     *
+     * @param {Iterable<string>} paths - Paths to assemble
+     * @param {Object} [options] - Optional configuration. Any other options are passed to Collection.assemble.
+     * @param {boolean} [options.directories=false] - Whether to also assemble the subdirectories of each
+     *     directory, so that numbered directories such as "v001/" and "v002/" form collections
+     * @returns {Object} The root of a tree of directories. Each node has:
+     *     name - The directory name, empty for the root of relative paths and for the "/" root
+     *     path - The directory path, without a trailing separator except for "/"
+     *     collections - Collections of the files in the directory
+     *     directories - Collections of the subdirectories, when assembling directories
+     *     remainder - Files in the directory that are not in a collection
+     *     children - Nodes of the subdirectories, in the order first seen
+     *
+     * @example
+     * const root = Collection.assemblePaths([
+     *     'sh010/v001/img.1001.exr', 'sh010/v001/img.1002.exr',
+     *     'sh010/v002/img.1001.exr', 'sh010/v002/img.1002.exr'
+     * ], { directories: true });
+     * const [sh010] = root.children;
+     * // sh010.directories[0].format() => 'sh010/v%03d [1-2]'
+     * // sh010.children[0].collections[0].format() => 'sh010/v001/img.%d.exr [1001-1002]'
+     */
+    static assemblePaths(paths, { directories = false, ...assembleOptions } = {}) {
+        const root = Collection.#directoryNode('', '');
+        const prefixes = new Map([[root, '']]);
+
+        // Children by name while building, so that finding a directory does not scan its siblings
+        const children = new Map([[root, new Map()]]);
+
+        // Basenames per directory, keyed by how the directory was written, since "a/b/" and "a\\b\\" share a node
+        const files = new Map([[root, new Map()]]);
+
+        for (const item of paths) {
+            // Walk the directories of the path, creating nodes as they are first seen
+            let node = root;
+            let prefix = '';
+            const pattern = /[^/\\]*[/\\]/g;
+            let segment;
+            while ((segment = pattern.exec(item)) !== null) {
+                prefix += segment[0];
+                const name = segment[0].slice(0, -1);
+                let child = children.get(node).get(name);
+                if (!child) {
+                    const trimmed = prefix.slice(0, -1);
+                    child = Collection.#directoryNode(name, trimmed === '' ? prefix : trimmed);
+                    children.get(node).set(name, child);
+                    children.set(child, new Map());
+                    prefixes.set(child, prefix);
+                    files.set(child, new Map());
+                }
+                node = child;
+            }
+
+            const basename = item.slice(prefix.length);
+            if (basename !== '') {
+                const written = files.get(node);
+                if (!written.has(prefix)) written.set(prefix, []);
+                written.get(prefix).push(basename);
+            }
+        }
+
+        for (const [node, written] of files) {
+            node.children = Array.from(children.get(node).values());
+            for (const [prefix, names] of written) {
+                const [collections, remainder] = Collection.assemble(names, assembleOptions);
+                collections.forEach(collection => { collection.head = `${prefix}${collection.head}`; });
+                node.collections.push(...collections);
+                node.remainder.push(...remainder.map(name => `${prefix}${name}`));
+            }
+
+            if (directories) {
+                const prefix = prefixes.get(node);
+                const [subdirectories] = Collection.assemble(node.children.map(({ name }) => name), assembleOptions);
+                subdirectories.forEach(collection => { collection.head = `${prefix}${collection.head}`; });
+                node.directories = subdirectories;
+            }
+        }
+
+        return root;
+    }
+
+    static #directoryNode(name, directory) {
+        return {
+            name,
+            path: directory,
+            collections: [],
+            directories: [],
+            remainder: [],
+            children: []
+        };
+    }
+
+    static #sortOrder(sort) {
+        if (!Object.prototype.hasOwnProperty.call(Collection.#SORT_ORDERS, sort)) {
+            throw new Error(`Invalid sort order: ${sort}. Expected 'natural', 'lexical' or 'insertion'.`);
+        }
+        return Collection.#SORT_ORDERS[sort];
+    }
+
+    static #finishAssembly(collectionMap, remainder, minItems, assumePaddedWhenAmbiguous, policy, compare) {
+        const collections = Collection.#createCollections(collectionMap, policy);
+        const mergedCollections = Collection.#handlePaddingMerges(collections, policy.paddingMode);
         const filteredCollections = Collection.#filterByMinItems(mergedCollections, minItems, remainder);
 
         if (assumePaddedWhenAmbiguous) {
             Collection.#handlePaddingAmbiguity(filteredCollections);
         }
 
-        return [filteredCollections, Array.from(remainder).sort((a, b) => a - b)];
+        const items = Array.from(remainder);
+        if (compare === null) {
+            return [filteredCollections, items];
+        }
+
+        filteredCollections.sort((a, b) =>
+            compare(a.head, b.head) || compare(a.tail, b.tail) || a._indexes.first - b._indexes.first || a.padding - b.padding
+        );
+        return [filteredCollections, items.sort(compare)];
     }
 
     static #compilePatterns(patterns, caseSensitive) {
@@ -306,34 +1509,84 @@ class Collection {
         return [new RegExp(Collection.#DIGITS_PATTERN, flags)];
     }
 
-    static #processStrings(strings, compiledPatterns, caseSensitive) {
+    /**
+     * Compiles globs into a function testing whether an item matches any of them, under
+     * the matching policy of the assembly.
+     *
+     * @private
+     * @param {(string|string[]|null)} globs - The globs, or null for no filter
+     * @param {Object} policy - The matching policy
+     * @returns {(Function|null)} The test, or null for no filter
+     */
+    static #compileGlobs(globs, policy) {
+        if (globs === null) {
+            return null;
+        }
+        const expressions = (Array.isArray(globs) ? globs : [globs]).map(glob => {
+            if (typeof glob !== 'string') {
+                throw new Error(`Invalid glob type: ${typeof glob}`);
+            }
+            return new RegExp(globToRegExp(normalizeText(glob, policy)));
+        });
+        return item => {
+            const normalized = normalizeText(item, policy);
+            return expressions.some(expression => expression.test(normalized));
+        };
+    }
+
+    static #itemText(value) {
+        if (typeof value === 'string') {
+            return value;
+        }
+        // Object mode streams, such as those of some file walkers, may yield Buffers
+        if (Buffer.isBuffer(value)) {
+            return value.toString('utf8');
+        }
+        throw new TypeError(`Items to assemble must be strings or Buffers, not ${value === null ? 'null' : typeof value}`);
+    }
+
+    static #processStrings(strings, compiledPatterns, filter, policy, literalHyphens) {
         const collectionMap = new Map();
         const remainder = new Set();
 
         for (const item of strings) {
-            let matched = false;
+            if (filter !== null && !filter(item)) {
+                remainder.add(item);
+                continue;
+            }
+            Collection.#processItem(item, compiledPatterns, policy, literalHyphens, collectionMap, remainder);
+        }
+
+        return { collectionMap, remainder };
+    }
 
-            for (const pattern of compiledPatterns) {
-                pattern.lastIndex = 0;  // Reset regex state
-                const matches = item.matchAll(pattern);
+    static #processItem(item, compiledPatterns, policy, literalHyphens, collectionMap, remainder) {
+        let matched = false;
 
-                for (const match of matches) {
-                    Collection.#processMatch(match, item, collectionMap, caseSensitive);
-                    matched = true;
-                }
-            }
+        for (const pattern of compiledPatterns) {
+            pattern.lastIndex = 0;  // Reset regex state
+            const matches = item.matchAll(pattern);
 
-            if (!matched) {
-                remainder.add(item);
+            for (const match of matches) {
+                Collection.#processMatch(match, item, collectionMap, policy, literalHyphens);
+                matched = true;
             }
         }
 
-        return { collectionMap, remainder };
+        if (!matched) {
+            remainder.add(item);
+        }
     }
 
-    static #processMatch(match, item, collectionMap, caseSensitive) {
+    static #processMatch(match, item, collectionMap, policy, literalHyphens) {
         const { index: matchIndex, groups } = match;
-        const { index, padding } = groups;
+        const { padding } = groups;
+        let { index } = groups;
+
+        // Leave the hyphen in the head when it is a separator rather than a sign
+        if (literalHyphens && index.startsWith('-')) {
+            index = index.slice(1);
+        }
 
         const fullMatch = match[0];
         const numberStart = fullMatch.indexOf(index);
@@ -342,8 +1595,8 @@ class Collection {
         const tail = item.slice(matchIndex + numberStart + index.length);
         const paddingLength = padding ? index.length : 0;
 
-        const normalizedHead = caseSensitive ? head : head.toLowerCase();
-        const normalizedTail = caseSensitive ? tail : tail.toLowerCase();
+        const normalizedHead = normalizeText(head, policy);
+        const normalizedTail = normalizeText(tail, policy);
 
         const key = `${normalizedHead}|${normalizedTail}|${paddingLength}`;
 
@@ -352,14 +1605,14 @@ class Collection {
                 head,
                 tail,
                 padding: paddingLength,
-                indexes: new Set()
+                indexes: new IntervalSet()
             });
         }
 
         collectionMap.get(key).indexes.add(parseInt(index, 10));
     }
 
-    static #createCollections(collectionMap) {
+    static #createCollections(collectionMap, policy) {
         const collections = [];
         const unpadded = [];
 
@@ -368,7 +1621,8 @@ class Collection {
                 head,
                 tail,
                 padding,
-                indexes
+                indexes,
+                ...policy
             });
             collections.push(collection);
             if (padding === 0) {
@@ -379,17 +1633,21 @@ class Collection {
         return { collections, unpadded };
     }
 
-    static #handlePaddingMerges({ collections, unpadded }) {
+    static #handlePaddingMerges({ collections, unpadded }, paddingMode) {
         const fullyMerged = new Set();
+        const claimed = new Map(unpadded.map(candidate => [candidate, new Set()]));
 
-        for (const collection of collections) {
-            if (collection.padding === 0) continue;
+        // An overflowing index fits any smaller padding, so offer it to the widest first
+        const targets = collections.filter(collection => collection.padding > 0);
+        if (paddingMode === 'minimum') {
+            targets.sort((a, b) => b.padding - a.padding);
+        }
 
+        for (const collection of targets) {
             for (const candidate of unpadded) {
-                if (candidate.head === collection.head &&
-                    candidate.tail === collection.tail) {
+                if (collection.#hasSameText(candidate)) {
 
-                    const mergeResult = Collection.#attemptMerge(collection, candidate);
+                    const mergeResult = Collection.#attemptMerge(collection, candidate, paddingMode, claimed.get(candidate));
                     if (mergeResult.complete) {
                         fullyMerged.add(candidate);
                     }
@@ -400,17 +1658,17 @@ class Collection {
         return collections.filter(c => !fullyMerged.has(c));
     }
 
-    static #attemptMerge(target, source) {
-        let mergedCount = 0;
-
+    static #attemptMerge(target, source, paddingMode, claimed) {
         for (const index of source.indexes) {
-            if (String(Math.abs(index)).length === target.padding) {
+            const width = String(index).length;
+            const fits = paddingMode === 'minimum' ? width >= target.padding : width === target.padding;
+            if (fits && !claimed.has(index)) {
                 target.add(index);
-                mergedCount++;
+                claimed.add(index);
             }
         }
 
-        return { complete: mergedCount === source.indexes.length };
+        return { complete: claimed.size === source.indexes.length };
     }
 
     static #filterByMinItems(collections, minItems, remainder) {
@@ -425,10 +1683,10 @@ class Collection {
 
     static #handlePaddingAmbiguity(collections) {
         for (const collection of collections) {
-            const indexes = collection.indexes;
-            if (!collection.padding && indexes.length > 0) {
-                const firstWidth = String(indexes[0]).length;
-                const lastWidth = String(indexes[indexes.length - 1]).length;
+            const { first, last } = collection._indexes;
+            if (!collection.padding && collection._indexes.size > 0) {
+                const firstWidth = String(first).length;
+                const lastWidth = String(last).length;
                 if (firstWidth === lastWidth) {
                     collection.padding = firstWidth;
                 }
@@ -437,126 +1695,697 @@ class Collection {
     }
 
     /**
-     * Creates a new Collection instance.
+     * Scans a directory on disk and assembles the files in each folder into collections.
+     * The heads of the returned collections and the items of the remainder include the
+     * directory path, joined onto the given directory.
      *
-     * @param {Object} options - Configuration options
-     * @param {string} [options.head=""] - The prefix string that appears before each index
-     * @param {string} [options.tail=""] - The suffix string that appears after each index
-     * @param {number} [options.padding=0] - The number of digits to pad indexes to. Zero means no padding.
-     * @param {number[]} [options.indexes=[]] - Array of non-negative integers representing the collection's indexes
+     * @param {string} directory - The directory to scan
+     * @param {Object} [options] - Optional configuration. Any other options are passed to Collection.assemble.
+     * @param {boolean} [options.recursive=false] - Whether to scan subdirectories
+     * @param {boolean} [options.followSymlinks=false] - Whether to scan symlinked directories when recursive.
+     *     Each real directory is scanned once, so symlink cycles are not followed. Symlinked directories that
+     *     are not followed are left out of the results.
+     * @param {Function} [options.onError=null] - Called with (error, path) for each subdirectory or
+     *     symlink that cannot be read. Such entries are skipped.
+     * @returns {Promise<[Collection[], string[]]>} - Tuple of [collections, remainder]
+     * @throws {Error} If the directory itself cannot be read
+     *
+     * @example
+     * const [collections, remainder] = await Collection.scan('/renders/sh010', { recursive: true });
+     * // collections[0].head === '/renders/sh010/comp/sh010_comp.'
      */
-    constructor({
-        head = '',
-        tail = '',
-        padding = 0,
-        indexes = []
+    static async scan(directory, {
+        recursive = false,
+        followSymlinks = false,
+        onError = null,
+        ...assembleOptions
     } = {}) {
-        this.head = head;
-        this.tail = tail;
-        this.padding = padding;
-        this._indexes = new Set(indexes);
-        this.#validate();
+        const results = { collections: [], remainder: [] };
+        await Collection.#scanDirectory(
+            directory,
+            { recursive, followSymlinks, onError, assembleOptions },
+            new Set(),
+            results,
+            true
+        );
+        return [results.collections, results.remainder];
     }
 
-    /**
-     * Gets the sorted array of indexes in the collection.
-     *
-     * @returns {number[]} Array of indexes in ascending order
-     */
-    get indexes() {
-        return Array.from(this._indexes).sort((a, b) => a - b);
-    }
+    static async #scanDirectory(directory, options, visited, results, isRoot) {
+        const { recursive, followSymlinks, onError, assembleOptions } = options;
 
-    /**
-     * Gets the formatted string representations of all members in the collection.
-     *
-     * @returns {string[]} Array of formatted strings with padded indexes
-     */
-    get members() {
-        return this.indexes.map(i => `${this.head}${String(i).padStart(this.padding, '0')}${this.tail}`);
-    }
+        let entries;
+        try {
+            const realPath = await fs.realpath(directory);
+            if (visited.has(realPath)) return;
+            visited.add(realPath);
+            entries = await fs.readdir(directory, { withFileTypes: true });
+            entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+        } catch (error) {
+            if (isRoot) throw error;
+            if (onError) onError(error, directory);
+            return;
+        }
 
-    /**
-     * Gets a new Collection containing any missing indexes in the sequence.
-     *
-     * @returns {Collection|null} A new Collection containing missing indexes,
-     *     or null if there are no holes or fewer than 2 indexes
-     */
-    get holes() {
-        if (this._indexes.size < 2) return null;
-        const indexes = this.indexes;
-        const holes = [];
-        const start = indexes[0];
-        const end = indexes[indexes.length - 1];
-        for (let i = start + 1; i < end; i++) {
-            if (!this._indexes.has(i)) {
-                holes.push(i);
+        // The directory as path.join writes it before a name, e.g. "" for "." and "/renders/" for "/renders",
+        // so that heads, remainder items and subdirectories all share one prefix
+        const prefix = path.join(directory, '_').slice(0, -1);
+
+        const files = [];
+        const subdirectories = [];
+        for (const entry of entries) {
+            const entryPath = `${prefix}${entry.name}`;
+            let isDirectory = entry.isDirectory();
+            if (entry.isSymbolicLink()) {
+                try {
+                    isDirectory = (await fs.stat(entryPath)).isDirectory();
+                } catch (error) {
+                    // A dangling symlink is only an error when it would have been followed
+                    if (followSymlinks) {
+                        if (onError) onError(error, entryPath);
+                        continue;
+                    }
+                }
+
+                // Symlinked directories are neither files nor, unless followed, subdirectories
+                if (isDirectory && !followSymlinks) continue;
             }
-        }
-        return holes.length > 0 ?
-            new Collection({
-                head: this.head,
-                tail: this.tail,
-                padding: this.padding,
-                indexes: holes})
-            : null;
-    }
 
-    /**
-     * Checks if the collection's indexes form a contiguous sequence.
-     *
-     * @returns {boolean} True if indexes form a contiguous sequence or collection has 0-1 indexes
-     */
-    get isContiguous() {
-        if (this._indexes.size <= 1) return true;
-        const indexes = this.indexes;
-        const start = indexes[0];
-        const end = indexes[indexes.length - 1];
-        for (let i = start + 1; i < end; i++) {
-            if (!this._indexes.has(i)) {
-                return false;
+            if (!isDirectory) {
+                files.push(entry.name);
+            } else if (recursive) {
+                subdirectories.push(entryPath);
             }
         }
-        return true;
+
+        const [collections, remainder] = Collection.assemble(files, assembleOptions);
+        for (const collection of collections) {
+            collection.head = `${prefix}${collection.head}`;
+            results.collections.push(collection);
+        }
+        for (const item of remainder) {
+            results.remainder.push(`${prefix}${item}`);
+        }
+
+        for (const subdirectory of subdirectories) {
+            await Collection.#scanDirectory(subdirectory, options, visited, results, false);
+        }
     }
 
     /**
-     * Adds items to the collection. Items can be indexes, member strings, or compatible Collections.
+     * Renames files on disk according to an old-to-new mapping, such as the mapping
+     * returned by Collection#renumber. Renames are ordered so that no file is overwritten
+     * while its source is still pending; where the mapping contains a cycle (e.g. a
+     * reversed sequence), sources are first moved to temporary names. If a rename fails,
+     * the completed renames are undone in reverse order and the error is rethrown. Undoing
+     * carries on past renames that cannot be undone; their errors are attached to the
+     * rethrown error as `rollbackErrors`.
      *
-     * @param {(number|string|Collection|Array<number|string|Collection>)} items - Items to add
-     * @returns {Collection} The collection instance for chaining
-     * @throws {Error} If items are invalid or incompatible with the collection
+     * @param {(Map<string, string>|Iterable<[string, string]>)} mapping - Old to new file names
+     * @param {Object} [options] - Optional configuration
+     * @param {string} [options.directory=null] - Directory that relative names are resolved against
+     * @param {boolean} [options.dryRun=false] - Whether to return the planned renames without renaming
+     * @returns {Promise<[string, string][]>} The renames performed, or planned in a dry run, in order
+     * @throws {Error} If two names map to the same target, or a target exists and is not itself renamed
+     *
+     * @example
+     * const { mapping } = collection.offset(1000);
+     * await Collection.applyRenames(mapping, { directory: '/renders/sh010', dryRun: true });
      */
-    add(items) {
-
-        if (!Array.isArray(items) && !(items instanceof Set)) {
-            items = [items];
+    static async applyRenames(mapping, { directory = null, dryRun = false } = {}) {
+        const resolve = name => (directory === null ? name : path.resolve(directory, name));
+        const pending = new Map();
+        const targets = new Set();
+        for (const [from, to] of mapping) {
+            if (from === to) continue;
+            const target = resolve(to);
+            if (targets.has(target)) {
+                throw new Error(`More than one file would be renamed to ${to}`);
+            }
+            targets.add(target);
+            pending.set(resolve(from), target);
         }
 
-        const newIndexes = new Set(this._indexes);
+        for (const target of pending.values()) {
+            if (!pending.has(target) && await Collection.#pathExists(target)) {
+                throw new Error(`Rename target already exists: ${target}`);
+            }
+        }
 
-        for (const item of items) {
-            const type = typeof item;
+        const operations = Collection.#orderRenames(pending);
+        if (dryRun) {
+            return operations;
+        }
 
-            if (item instanceof Collection) {
-                if (!this.isCompatible(item)) {
-                    throw new Error(`${item} is not compatible with this collection.`);
+        const completed = [];
+        try {
+            for (const [from, to] of operations) {
+                await fs.rename(from, to);
+                completed.push([from, to]);
+            }
+        } catch (error) {
+            // Undo as much as possible, keeping any failures with the original error
+            const rollbackErrors = [];
+            for (const [from, to] of completed.reverse()) {
+                try {
+                    await fs.rename(to, from);
+                } catch (rollbackError) {
+                    rollbackErrors.push(rollbackError);
                 }
-                item.indexes.forEach(i => newIndexes.add(i));
             }
+            if (rollbackErrors.length > 0) {
+                error.rollbackErrors = rollbackErrors;
+            }
+            throw error;
+        }
+        return operations;
+    }
 
-            else if (type === 'string') {
-                const match = this.match(item);
-                if (match === null) {
-                    throw new Error(`Item '${item}' does not match collection expression.`);
+    static #orderRenames(pending) {
+        const operations = [];
+        let temporaryCount = 0;
+        while (pending.size > 0) {
+            let progressed = false;
+            for (const [from, to] of pending) {
+                // Safe once nothing else still has to move out of the target
+                if (!pending.has(to)) {
+                    operations.push([from, to]);
+                    pending.delete(from);
+                    progressed = true;
                 }
-                const {index} = match.groups;
+            }
+            if (!progressed) {
+                // Every remaining target is still a source, so break a cycle with a temporary name
+                const [from, to] = pending.entries().next().value;
+                const temporary = `${from}.seqo-${process.pid}-${temporaryCount++}.tmp`;
+                operations.push([from, temporary]);
+                pending.delete(from);
+                pending.set(temporary, to);
+            }
+        }
+        return operations;
+    }
+
+    static async #pathExists(target) {
+        try {
+            await fs.lstat(target);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Checks the members of a collection on disk for the failures that holes do not show:
+     * members that do not exist, zero-byte files, files much smaller than their neighbours
+     * (such as truncated frames) and, when hashing, runs of byte-identical files (such as
+     * a stuck render).
+     *
+     * @param {Collection} collection - The collection to check
+     * @param {Object} [options] - Optional configuration
+     * @param {string} [options.directory=null] - Directory that relative member names are resolved against
+     * @param {boolean} [options.hash=false] - Whether to hash each file to find duplicate runs
+     * @param {string} [options.algorithm='sha1'] - The hash algorithm, as for crypto.createHash
+     * @param {number} [options.neighbours=5] - How many non-empty files on each side a file's size is compared with
+     * @param {number} [options.minSizeRatio=0.5] - The fraction of the median size of its neighbours
+     *     below which a file is reported as an outlier
+     * @returns {Promise<Object>} The report:
+     *     files - Map from each index found on disk to {path, size}, and hash when hashing
+     *     holes - Collection of the indexes missing from the collection's range, or null
+     *     missing - Indexes in the collection whose file does not exist
+     *     empty - Indexes whose file is zero bytes
+     *     outliers - {index, size, median} for each file smaller than minSizeRatio times the median
+     *         size of its neighbours
+     *     duplicates - {indexes, hash} for each run of two or more files with the same contents,
+     *         consecutive among the files found and ignoring empty files. Always empty unless hashing.
+     * @throws {Error} If a file exists but cannot be read
+     *
+     * @example
+     * const report = await Collection.qc(collection, { directory: '/renders/sh010', hash: true });
+     * // report.empty => [1042]
+     * // report.duplicates => [{ indexes: [1050, 1051, 1052], hash: '...' }]
+     */
+    static async qc(collection, {
+        directory = null,
+        hash = false,
+        algorithm = 'sha1',
+        neighbours = 5,
+        minSizeRatio = 0.5
+    } = {}) {
+        const files = new Map();
+        const missing = [];
+        for (const [index, member] of collection.entries()) {
+            const file = directory === null ? member : path.resolve(directory, member);
+            let stats;
+            try {
+                stats = await fs.stat(file);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                missing.push(index);
+                continue;
+            }
+            const info = { path: file, size: stats.size };
+            if (hash) {
+                info.hash = await Collection.#hashFile(file, algorithm);
+            }
+            files.set(index, info);
+        }
+
+        const found = Array.from(files.entries());
+        const empty = found.filter(([, { size }]) => size === 0).map(([index]) => index);
+        const sized = found.filter(([, { size }]) => size > 0);
+
+        const outliers = [];
+        sized.forEach(([index, { size }], position) => {
+            const sizes = [
+                ...sized.slice(Math.max(0, position - neighbours), position),
+                ...sized.slice(position + 1, position + 1 + neighbours)
+            ].map(([, info]) => info.size).sort((a, b) => a - b);
+            if (sizes.length === 0) return;
+            const middle = Math.floor(sizes.length / 2);
+            const median = sizes.length % 2 ? sizes[middle] : (sizes[middle - 1] + sizes[middle]) / 2;
+            if (size < median * minSizeRatio) {
+                outliers.push({ index, size, median });
+            }
+        });
+
+        const duplicates = [];
+        if (hash) {
+            let run = null;
+            for (const [index, info] of found) {
+                if (info.size > 0 && run !== null && info.hash === run.hash) {
+                    run.indexes.push(index);
+                    continue;
+                }
+                if (run !== null && run.indexes.length > 1) duplicates.push(run);
+                run = info.size > 0 ? { indexes: [index], hash: info.hash } : null;
+            }
+            if (run !== null && run.indexes.length > 1) duplicates.push(run);
+        }
+
+        return { files, holes: collection.holes, missing, empty, outliers, duplicates };
+    }
+
+    static #hashFile(file, algorithm) {
+        return new Promise((resolve, reject) => {
+            const digest = createHash(algorithm);
+            createReadStream(file)
+                .on('error', reject)
+                .on('data', chunk => digest.update(chunk))
+                .on('end', () => resolve(digest.digest('hex')));
+        });
+    }
+
+    /**
+     * Compares two results of Collection.assemble, such as two polls of a render folder, and
+     * reports what changed between them.
+     *
+     * A sequence in the later result is paired with one in the earlier result that has the same
+     * head, tail and padding, or failing that the same head and tail, or failing that the same
+     * head, so a sequence whose padding or tail changed is reported as changed rather than as
+     * one vanished and one new sequence. Heads and tails are compared under the matching policy
+     * of the earlier collection.
+     *
+     * @param {[Collection[], string[]]} before - The earlier [collections, remainder] tuple
+     * @param {[Collection[], string[]]} after - The later [collections, remainder] tuple
+     * @returns {Object} The report:
+     *     added - Collections in the later result with no counterpart in the earlier one
+     *     removed - Collections in the earlier result with no counterpart in the later one
+     *     changed - For each paired sequence that changed, {before, after, added, removed,
+     *         paddingChanged, tailChanged}, where added is a Collection of the indexes new in
+     *         after and removed a Collection of the indexes missing from it
+     *     unchanged - Collections of the later result identical to their counterpart
+     *     remainder - {added, removed}, the items that entered and left the remainder
+     * @throws {Error} If either result is not a [collections, remainder] tuple
+     *
+     * @example
+     * const before = Collection.assemble(['shot.1001.exr', 'shot.1002.exr']);
+     * const after = Collection.assemble(['shot.1001.exr', 'shot.1002.exr', 'shot.1003.exr']);
+     * const { changed } = Collection.diff(before, after);
+     * // changed[0].added.indexes => [1003]
+     */
+    static diff(before, after) {
+        for (const result of [before, after]) {
+            if (!Array.isArray(result) || !Array.isArray(result[0]) || !Array.isArray(result[1])) {
+                throw new Error('Expected a [collections, remainder] tuple');
+            }
+        }
+        const [beforeCollections, beforeRemainder] = before;
+        const [afterCollections, afterRemainder] = after;
+
+        // Pair the strictest matches first, so that a loose match cannot take a sequence
+        // that has an exact counterpart
+        const passes = [
+            (previous, collection) => previous.isCompatible(collection),
+            (previous, collection) => previous.#hasSameText(collection),
+            (previous, collection) => previous.#hasSame('head', collection)
+        ];
+        const unpaired = new Set(beforeCollections);
+        const pairs = new Map();
+        for (const matches of passes) {
+            for (const collection of afterCollections) {
+                if (pairs.has(collection)) continue;
+                for (const previous of unpaired) {
+                    if (matches(previous, collection)) {
+                        pairs.set(collection, previous);
+                        unpaired.delete(previous);
+                        break;
+                    }
+                }
+            }
+        }
+
+        const beforeItems = new Set(beforeRemainder);
+        const afterItems = new Set(afterRemainder);
+        const report = {
+            added: [],
+            removed: Array.from(unpaired),
+            changed: [],
+            unchanged: [],
+            remainder: {
+                added: afterRemainder.filter(item => !beforeItems.has(item)),
+                removed: beforeRemainder.filter(item => !afterItems.has(item))
+            }
+        };
+
+        for (const collection of afterCollections) {
+            const previous = pairs.get(collection);
+            if (previous === undefined) {
+                report.added.push(collection);
+                continue;
+            }
+
+            const change = {
+                before: previous,
+                after: collection,
+                added: collection._withIndexes(collection._indexes.difference(previous._indexes)),
+                removed: previous._withIndexes(previous._indexes.difference(collection._indexes)),
+                paddingChanged: collection.padding !== previous.padding,
+                tailChanged: !previous.#hasSame('tail', collection)
+            };
+            if (change.added._indexes.size > 0 || change.removed._indexes.size > 0 ||
+                change.paddingChanged || change.tailChanged) {
+                report.changed.push(change);
+            } else {
+                report.unchanged.push(collection);
+            }
+        }
+
+        return report;
+    }
+
+    /**
+     * Creates a Collection from the data written by toJSON. Unknown fields are ignored, so
+     * data written by later versions of seqo can be read as long as the version matches.
+     *
+     * @param {(Object|string)} json - The serialized collection, or a JSON string of it
+     * @returns {Collection} A new Collection
+     * @throws {Error} If the data is not valid, naming the offending field
+     *
+     * @example
+     * const collection = Collection.fromJSON('{"version":1,"head":"shot.","tail":".exr","padding":4,"ranges":[[1001,1100]]}');
+     * // collection.format() => 'shot.%04d.exr [1001-1100]'
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Invalid collection JSON: expected an object');
+        }
+        if (data.version !== Collection.#JSON_VERSION) {
+            throw new Error(`Unsupported collection JSON version: ${data.version}. Expected ${Collection.#JSON_VERSION}.`);
+        }
+
+        const invalid = (field, expected) => new Error(`Invalid collection JSON: "${field}" must be ${expected}`);
+        for (const field of ['head', 'tail']) {
+            if (typeof data[field] !== 'string') {
+                throw invalid(field, 'a string');
+            }
+        }
+        if (!Number.isInteger(data.padding) || data.padding < 0) {
+            throw invalid('padding', 'a non-negative integer');
+        }
+        if (!Array.isArray(data.ranges)) {
+            throw invalid('ranges', 'an array');
+        }
+        const { caseSensitive = true, normalization = null, paddingMode = 'exact' } = data;
+        if (typeof caseSensitive !== 'boolean') {
+            throw invalid('caseSensitive', 'a boolean');
+        }
+        if (!Collection.#NORMALIZATIONS.includes(normalization)) {
+            throw invalid('normalization', '"NFC", "NFD" or null');
+        }
+        if (!Collection.#PADDING_MODES.includes(paddingMode)) {
+            throw invalid('paddingMode', '"exact" or "minimum"');
+        }
+
+        const indexes = new IntervalSet();
+        data.ranges.forEach((entry, i) => {
+            if (Number.isInteger(entry)) {
+                indexes.add(entry);
+            } else if (Array.isArray(entry) && entry.length === 2 &&
+                Number.isInteger(entry[0]) && Number.isInteger(entry[1]) && entry[0] <= entry[1]) {
+                indexes.addRange(entry[0], entry[1]);
+            } else {
+                throw invalid(`ranges[${i}]`, 'an integer or a [start, end] pair of integers with start <= end');
+            }
+        });
+
+        return new Collection({
+            head: data.head,
+            tail: data.tail,
+            padding: data.padding,
+            indexes,
+            caseSensitive,
+            normalization,
+            paddingMode
+        });
+    }
+
+    /**
+     * Creates a new Collection instance.
+     *
+     * @param {Object} options - Configuration options
+     * @param {string} [options.head=""] - The prefix string that appears before each index
+     * @param {string} [options.tail=""] - The suffix string that appears after each index
+     * @param {number} [options.padding=0] - The width to pad indexes to, counting the sign of negative indexes
+     *     as printf does (padding 4 gives "0010" and "-010"). Zero means no padding.
+     * @param {number[]} [options.indexes=[]] - Array of integers representing the collection's indexes
+     * @param {boolean} [options.caseSensitive=true] - Whether head and tail are matched case-sensitively
+     *     by match, add, remove and isCompatible
+     * @param {('NFC'|'NFD'|null)} [options.normalization=null] - The Unicode normalization form applied to
+     *     head, tail and items before matching, so that names written by macOS (NFD) match names
+     *     written elsewhere (usually NFC). Null compares code points as they are.
+     * @param {('exact'|'minimum')} [options.paddingMode='exact'] - How match, add and remove read padding.
+     *     'exact' accepts only indexes written exactly as wide as the padding. 'minimum' treats the
+     *     padding as a minimum width, as printf and most applications do, so that "10000" matches
+     *     a padding of 4.
+     */
+    constructor({
+        head = '',
+        tail = '',
+        padding = 0,
+        indexes = [],
+        caseSensitive = true,
+        normalization = null,
+        paddingMode = 'exact'
+    } = {}) {
+        this.head = head;
+        this.tail = tail;
+        this.padding = padding;
+        this.caseSensitive = caseSensitive;
+        this.normalization = normalization;
+        this.paddingMode = paddingMode;
+        this._indexes = indexes instanceof IntervalSet ? indexes : IntervalSet.from(indexes);
+        this.#validate();
+    }
+
+    /**
+     * Gets the sorted array of indexes in the collection.
+     *
+     * @returns {number[]} Array of indexes in ascending order
+     */
+    get indexes() {
+        return Array.from(this._indexes);
+    }
+
+    /**
+     * Gets the formatted string representations of all members in the collection.
+     *
+     * @returns {string[]} Array of formatted strings with padded indexes
+     */
+    get members() {
+        return Array.from(this.values());
+    }
+
+    /**
+     * Iterates the collection's members lazily in ascending order of index.
+     *
+     * @returns {Iterator<string>} An iterator over the members
+     *
+     * @example
+     * for (const member of collection) {
+     *     console.log(member);
+     * }
+     */
+    [Symbol.iterator]() {
+        return this.values();
+    }
+
+    /**
+     * Iterates the collection's indexes lazily, without building an array of every index.
+     *
+     * @param {Object} [options] - Optional configuration
+     * @param {number} [options.start=0] - Position to start from, counted in iteration order.
+     *     Negative positions count back from the end of the iteration.
+     * @param {boolean} [options.reverse=false] - Whether to iterate in descending order
+     * @yields {number} The indexes
+     */
+    *keys({ start = 0, reverse = false } = {}) {
+        yield* this._indexes.values({ start, reverse });
+    }
+
+    /**
+     * Iterates the collection's members lazily.
+     *
+     * @param {Object} [options] - Optional configuration, as for keys
+     * @yields {string} The members
+     *
+     * @example
+     * // The last 10 members, latest first
+     * const latest = [];
+     * for (const member of collection.values({ reverse: true })) {
+     *     if (latest.push(member) === 10) break;
+     * }
+     */
+    *values(options = {}) {
+        for (const index of this.keys(options)) {
+            yield this.#member(index);
+        }
+    }
+
+    /**
+     * Iterates [index, member] pairs lazily.
+     *
+     * @param {Object} [options] - Optional configuration, as for keys
+     * @yields {[number, string]} The index and member pairs
+     *
+     * @example
+     * // A page of 100 entries starting at position 200
+     * const page = [];
+     * for (const entry of collection.entries({ start: 200 })) {
+     *     if (page.push(entry) === 100) break;
+     * }
+     */
+    *entries(options = {}) {
+        const members = this.values(options);
+        for (const index of this.keys(options)) {
+            yield [index, members.next().value];
+        }
+    }
+
+    /**
+     * Iterates the timecode of each index lazily, in ascending order of index.
+     *
+     * @param {Object} timecode - Frame rate settings
+     * @param {(number|string)} timecode.rate - The frame rate, e.g. 24, 23.976, 29.97 or "30000/1001"
+     * @param {boolean} [timecode.dropFrame=false] - Whether to write drop-frame timecode
+     * @param {number} [timecode.offset=0] - Frames added to each index before converting, e.g.
+     *     86400 - 1001 so that index 1001 is 01:00:00:00 at 24 fps
+     * @yields {string} The timecodes
+     * @throws {Error} If the settings are invalid, or an index falls before 00:00:00:00
+     *
+     * @example
+     * const plate = new Collection({ indexes: [86400, 86401] });
+     * [...plate.timecodes({ rate: 24 })]  // ['01:00:00:00', '01:00:00:01']
+     */
+    *timecodes(timecode) {
+        for (const index of this._indexes) {
+            yield Collection.#indexToTimecode(index, timecode);
+        }
+    }
+
+    /**
+     * Gets the member at a position in ascending order of index.
+     *
+     * @param {number} position - The position. Negative positions count back from the end.
+     * @returns {string|undefined} The member, or undefined if the position is out of range
+     */
+    at(position) {
+        if (this._indexes.at(position) === undefined) {
+            return undefined;
+        }
+        return this.values({ start: position }).next().value;
+    }
+
+    /**
+     * Gets the index at a position in ascending order.
+     *
+     * @param {number} position - The position. Negative positions count back from the end.
+     * @returns {number|undefined} The index, or undefined if the position is out of range
+     */
+    indexAt(position) {
+        return this._indexes.at(position);
+    }
+
+    /**
+     * Gets a new Collection containing any missing indexes in the sequence.
+     *
+     * @returns {Collection|null} A new Collection containing missing indexes,
+     *     or null if there are no holes or fewer than 2 indexes
+     */
+    get holes() {
+        if (this._indexes.size < 2) return null;
+        const holes = this._indexes.gaps;
+        return holes.size > 0 ? this._withIndexes(holes) : null;
+    }
+
+    /**
+     * Checks if the collection's indexes form a contiguous sequence.
+     *
+     * @returns {boolean} True if indexes form a contiguous sequence or collection has 0-1 indexes
+     */
+    get isContiguous() {
+        return this._indexes.runs.length <= 1;
+    }
+
+    /**
+     * Adds items to the collection. Items can be indexes, member strings, or compatible Collections.
+     *
+     * @param {(number|string|Collection|Array<number|string|Collection>)} items - Items to add
+     * @returns {Collection} The collection instance for chaining
+     * @throws {Error} If items are invalid or incompatible with the collection
+     */
+    add(items) {
+
+        if (!Array.isArray(items) && !(items instanceof Set)) {
+            items = [items];
+        }
+
+        const newIndexes = this._indexes.copy();
+
+        for (const item of items) {
+            const type = typeof item;
+
+            if (item instanceof Collection) {
+                if (!this.isCompatible(item)) {
+                    throw new Error(`${item} is not compatible with this collection.`);
+                }
+                item._indexes.runs.forEach(([start, end]) => newIndexes.addRange(start, end));
+            }
+
+            else if (type === 'string') {
+                const match = this.match(item);
+                if (match === null) {
+                    throw new Error(`Item '${item}' does not match collection expression.`);
+                }
+                const {index} = match.groups;
                 newIndexes.add(Number(index));
             }
 
             else if (type === 'number') {
-                if (!Number.isInteger(item) || item < 0) {
-                    throw new Error(`Invalid index: ${item}. Expected non-negative integer.`);
+                if (!Number.isInteger(item)) {
+                    throw new Error(`Invalid index: ${item}. Expected integer.`);
                 }
                 newIndexes.add(item);
             }
@@ -591,7 +2420,7 @@ class Collection {
                     if (strict) throw new Error(`Incompatible collection: ${item}`);
                     continue;
                 }
-                item.indexes.forEach(i => this._indexes.delete(i));
+                item._indexes.runs.forEach(([start, end]) => this._indexes.deleteRange(start, end));
             }
             else if (typeof item === 'string') {
                 const match = this.match(item);
@@ -603,8 +2432,8 @@ class Collection {
                 this._indexes.delete(Number(index));
             }
             else if (typeof item === 'number') {
-                if (!Number.isInteger(item) || item < 0) {
-                    if (strict) throw new Error(`Expected non-negative integer: ${item}`);
+                if (!Number.isInteger(item)) {
+                    if (strict) throw new Error(`Expected integer: ${item}`);
                     continue;
                 }
                 this._indexes.delete(item);
@@ -626,104 +2455,419 @@ class Collection {
     separate() {
         // Handle empty collection case
         if (this._indexes.size === 0) {
-            return [new Collection({
-                head: this.head,
-                tail: this.tail,
-                padding: this.padding,
-                indexes: []
-            })];
+            return [this._withIndexes(new IntervalSet())];
+        }
+
+        // One collection per run of consecutive indexes
+        return this._indexes.runs.map(run => this._withIndexes(new IntervalSet([run])));
+    }
+
+    /**
+     * Splits the collection into chunks, such as the tasks of a render-farm job. Chunks only
+     * contain indexes in the collection, so a collection of frames still to render never
+     * produces a task for a frame outside it, and no chunk is ever empty.
+     *
+     * @param {Object} options - Chunking options. Give a size, a count, contiguous, or a size with contiguous.
+     * @param {number} [options.size=null] - The number of indexes in each chunk. The last chunk may have fewer.
+     * @param {number} [options.count=null] - The number of chunks to split the indexes evenly into. Fewer
+     *     chunks are returned if the collection has fewer indexes.
+     * @param {boolean} [options.contiguous=false] - Whether chunks follow the boundaries of separate(), so that
+     *     no chunk spans a hole. With a size, each contiguous block is split into chunks of that size.
+     * @returns {Collection[]} The chunks, in ascending order
+     * @throws {Error} If the options are missing, invalid or conflicting
+     *
+     * @example
+     * const frames = Collection.parse('shot.%04d.exr [1001-1010, 1020-1024]');
+     * frames.chunk({ size: 5 }).map(chunk => chunk.frameList())
+     * // ['1001-1005', '1006-1010', '1020-1024']
+     * frames.chunk({ count: 2 }).map(chunk => chunk.frameList())
+     * // ['1001-1008', '1009-1010,1020-1024']
+     */
+    chunk({ size = null, count = null, contiguous = false } = {}) {
+        if (size !== null && (!Number.isInteger(size) || size < 1)) {
+            throw new Error(`Invalid chunk size: ${size}. Expected positive integer.`);
+        }
+        if (count !== null && (!Number.isInteger(count) || count < 1)) {
+            throw new Error(`Invalid chunk count: ${count}. Expected positive integer.`);
+        }
+        if (size !== null && count !== null) {
+            throw new Error('Expected either a chunk size or a chunk count, not both');
+        }
+        if (count !== null && contiguous) {
+            throw new Error('A chunk count cannot be combined with contiguous chunks');
+        }
+        if (size === null && count === null && !contiguous) {
+            throw new Error('Expected a chunk size, a chunk count or contiguous chunks');
         }
 
-        // If already contiguous, return this collection as single element
-        if (this.isContiguous) {
-            return [new Collection({
-                head: this.head,
-                tail: this.tail,
-                padding: this.padding,
-                indexes: this._indexes
-            })];
+        // Sizes of successive chunks. A count spreads any extra indexes over the first chunks.
+        let sizeOf = () => size ?? Infinity;
+        if (count !== null) {
+            const base = Math.floor(this._indexes.size / count);
+            const extra = this._indexes.size % count;
+            sizeOf = position => base + (position < extra ? 1 : 0);
         }
 
-        const collections = [];
-        const indexes = this.indexes;
-        let start = indexes[0];
-        let prev = start;
-
-        // Handle single element case
-        if (indexes.length === 1) {
-            return [new Collection({
-                head: this.head,
-                tail: this.tail,
-                padding: this.padding,
-                indexes: [start]
-            })];
-        }
-
-        // Iterate through sorted indexes finding breaks in continuity
-        for (let i = 1; i < indexes.length; i++) {
-            const current = indexes[i];
-
-            // If we find a gap, create a new collection
-            if (current !== prev + 1) {
-                collections.push(
-                    new Collection({
-                        head: this.head,
-                        tail: this.tail,
-                        padding: this.padding,
-                        indexes: [...range(start, prev + 1)
-                        ]})
-                );
-                start = current;
-            }
-            prev = current;
-        }
-
-        // Add the final collection
-        collections.push(
-            new Collection({
-                head: this.head,
-                tail: this.tail,
-                padding: this.padding,
-                indexes: [...range(start, prev + 1)
-                ]})
-        );
+        const blocks = contiguous ? this._indexes.runs.map(run => [run]) : [this._indexes.runs];
+        return blocks
+            .flatMap(runs => Collection.#splitRuns(runs, sizeOf))
+            .map(runs => this._withIndexes(new IntervalSet(runs)));
+    }
+
+    /**
+     * Samples indexes, such as check frames to render before a full render. Positions are
+     * counted through the indexes in the collection, so holes are never sampled.
+     *
+     * @param {Object} options - Sampling options. Give one of stride, count, checkFrames or random.
+     * @param {number} [options.stride=null] - Take every Nth index, starting with the first
+     * @param {number} [options.count=null] - Take N evenly spaced indexes, including the first and
+     *     last. A count of 1 takes the first index.
+     * @param {boolean} [options.checkFrames=false] - Take the first, middle and last indexes
+     * @param {number} [options.random=null] - Take N indexes at random
+     * @param {number} [options.seed=0] - The integer seed of the random sample, so that it can be repeated
+     * @param {boolean} [options.contiguous=false] - Whether to sample each contiguous block from
+     *     separate() on its own, e.g. to take the first, middle and last index of every block
+     * @returns {Collection} A new collection of the sampled indexes
+     * @throws {Error} If the options are missing, invalid or conflicting
+     *
+     * @example
+     * const frames = Collection.parse('shot.%04d.exr [1001-1100]');
+     * frames.sample({ checkFrames: true }).format()  // 'shot.%04d.exr [1001, 1050, 1100]'
+     * frames.sample({ stride: 25 }).format()         // 'shot.%04d.exr [1001, 1026, 1051, 1076]'
+     */
+    sample({
+        stride = null,
+        count = null,
+        checkFrames = false,
+        random = null,
+        seed = 0,
+        contiguous = false
+    } = {}) {
+        for (const [name, value] of Object.entries({ stride, count, random })) {
+            if (value !== null && (!Number.isInteger(value) || value < 1)) {
+                throw new Error(`Invalid sample ${name}: ${value}. Expected positive integer.`);
+            }
+        }
+        if (!Number.isInteger(seed)) {
+            throw new Error(`Invalid seed: ${seed}. Expected integer.`);
+        }
+        const given = [stride !== null, count !== null, checkFrames, random !== null].filter(Boolean).length;
+        if (given !== 1) {
+            throw new Error('Expected exactly one of stride, count, checkFrames or random');
+        }
+
+        // Positions to take from a block of a given size
+        const next = seededRandom(seed);
+        const positionsOf = size => {
+            if (stride !== null) {
+                return [...range(0, size, stride)];
+            }
+            if (count !== null) {
+                if (count >= size) return [...range(size)];
+                if (count === 1) return [0];
+                return [...range(count)].map(i => Math.round(i * (size - 1) / (count - 1)));
+            }
+            if (checkFrames) {
+                return [0, Math.floor((size - 1) / 2), size - 1];
+            }
+
+            // Floyd's algorithm takes distinct positions without listing every position
+            const taken = new Set();
+            for (let j = Math.max(size - random, 0); j < size; j++) {
+                const position = Math.floor(next() * (j + 1));
+                taken.add(taken.has(position) ? j : position);
+            }
+            return [...taken];
+        };
 
-        return collections;
+        const blocks = contiguous ? this._indexes.runs.map(run => new IntervalSet([run])) : [this._indexes];
+        const sampled = new IntervalSet();
+        for (const block of blocks) {
+            if (block.size === 0) continue;
+            positionsOf(block.size).forEach(position => sampled.add(block.at(position)));
+        }
+        return this._withIndexes(sampled);
+    }
+
+    /**
+     * Writes the indexes as a frame list in the syntax a render farm expects, as a job's
+     * frames or a task's frames. Runs of evenly stepped indexes are written with a step
+     * where the farm supports one.
+     *
+     * @param {(string|Function)} [style='deadline'] - A key of Collection.frameListStyles, or a
+     *     function taking {start, end, step} runs and returning the frame list
+     * @returns {string} The frame list, e.g. "1001-1010,1020-1030x2"
+     * @throws {Error} If the style is unknown
+     */
+    frameList(style = 'deadline') {
+        let formatRuns = style;
+        if (typeof style !== 'function') {
+            if (!Object.prototype.hasOwnProperty.call(Collection.frameListStyles, style)) {
+                throw new Error(`Invalid frame list style: ${style}`);
+            }
+            formatRuns = Collection.frameListStyles[style];
+        }
+        return formatRuns(Collection.#stepRuns(this._indexes.runs));
     }
 
     /**
      * Checks if another collection has compatible formatting with this one.
      *
      * @param {Collection} collection - The collection to check for compatibility
-     * @returns {boolean} True if the collections have matching head, tail, and padding
+     * @returns {boolean} True if the collections have matching head, tail, and padding. Heads
+     *     and tails must match under the matching policies of both collections.
      */
     isCompatible(collection) {
         return (
             collection instanceof Collection &&
-            collection.head === this.head &&
-            collection.tail === this.tail &&
+            this.#hasSameText(collection) &&
             collection.padding === this.padding
         );
     }
 
+    /**
+     * Returns a new collection with the indexes in this collection or the other.
+     *
+     * @param {Collection} collection - The collection to combine with
+     * @param {Object} [options] - Optional configuration
+     * @param {boolean} [options.ignorePadding=false] - Whether collections with different padding
+     *     are compared by index alone. The result keeps this collection's padding.
+     * @returns {Collection} A new collection
+     * @throws {Error} If the collections are not compatible
+     */
+    union(collection, options = {}) {
+        this.#assertComparable(collection, options);
+        return this._withIndexes(this._indexes.union(collection._indexes));
+    }
+
+    /**
+     * Returns a new collection with the indexes in both this collection and the other.
+     *
+     * @param {Collection} collection - The collection to combine with
+     * @param {Object} [options] - Optional configuration, as for union
+     * @returns {Collection} A new collection
+     * @throws {Error} If the collections are not compatible
+     */
+    intersection(collection, options = {}) {
+        this.#assertComparable(collection, options);
+        return this._withIndexes(this._indexes.intersection(collection._indexes));
+    }
+
+    /**
+     * Returns a new collection with the indexes in this collection but not the other.
+     *
+     * @param {Collection} collection - The collection to combine with
+     * @param {Object} [options] - Optional configuration, as for union
+     * @returns {Collection} A new collection
+     * @throws {Error} If the collections are not compatible
+     */
+    difference(collection, options = {}) {
+        this.#assertComparable(collection, options);
+        return this._withIndexes(this._indexes.difference(collection._indexes));
+    }
+
+    /**
+     * Returns a new collection with the indexes in exactly one of this collection and the other.
+     *
+     * @param {Collection} collection - The collection to combine with
+     * @param {Object} [options] - Optional configuration, as for union
+     * @returns {Collection} A new collection
+     * @throws {Error} If the collections are not compatible
+     */
+    symmetricDifference(collection, options = {}) {
+        this.#assertComparable(collection, options);
+        return this._withIndexes(
+            this._indexes.union(collection._indexes).difference(this._indexes.intersection(collection._indexes))
+        );
+    }
+
+    /**
+     * Checks if every index in this collection is also in the other.
+     *
+     * @param {Collection} collection - The collection to compare with
+     * @param {Object} [options] - Optional configuration, as for union
+     * @returns {boolean} True if this collection is a subset of the other
+     * @throws {Error} If the collections are not compatible
+     */
+    isSubsetOf(collection, options = {}) {
+        this.#assertComparable(collection, options);
+        return this._indexes.difference(collection._indexes).size === 0;
+    }
+
+    /**
+     * Checks if every index in the other collection is also in this one.
+     *
+     * @param {Collection} collection - The collection to compare with
+     * @param {Object} [options] - Optional configuration, as for union
+     * @returns {boolean} True if this collection is a superset of the other
+     * @throws {Error} If the collections are not compatible
+     */
+    isSupersetOf(collection, options = {}) {
+        this.#assertComparable(collection, options);
+        return collection._indexes.difference(this._indexes).size === 0;
+    }
+
+    /**
+     * Computes a renumbering of the collection's indexes. Nothing is renamed on disk; pass
+     * the returned mapping to Collection.applyRenames to do so.
+     *
+     * @param {Function} mapper - Called with (index, position) for each index in ascending
+     *     order, where position is the index's position in the collection. Returns the new index.
+     * @returns {{collection: Collection, mapping: Map<string, string>}} The renumbered collection,
+     *     and a map from each old member to its new member
+     * @throws {Error} If the mapper returns a non-integer, or two indexes renumber to the same index
+     *
+     * @example
+     * const { collection, mapping } = shots.renumber(index => index * 2);
+     */
+    renumber(mapper) {
+        const targets = new Map();
+        const renumbered = new Map();
+        this.indexes.forEach((index, position) => {
+            const newIndex = mapper(index, position);
+            if (!Number.isInteger(newIndex)) {
+                throw new Error(`Invalid index: ${newIndex} for index ${index}. Expected integer.`);
+            }
+            if (renumbered.has(newIndex)) {
+                throw new Error(`Indexes ${renumbered.get(newIndex)} and ${index} both renumber to ${newIndex}.`);
+            }
+            renumbered.set(newIndex, index);
+            targets.set(index, newIndex);
+        });
+
+        const collection = this._withIndexes(renumbered.keys());
+        return { collection, mapping: Collection.#renameMapping(this, collection, targets) };
+    }
+
+    /**
+     * Computes a renumbering that shifts every index by a fixed amount, e.g. from 1-100 to 1001-1100.
+     *
+     * @param {number} amount - The integer to add to each index
+     * @returns {{collection: Collection, mapping: Map<string, string>}} As for renumber
+     */
+    offset(amount) {
+        return this.renumber(index => index + amount);
+    }
+
+    /**
+     * Computes a renumbering that multiplies every index by a factor, e.g. from 1-100 to 2-200x2.
+     *
+     * @param {number} factor - The factor to multiply each index by
+     * @returns {{collection: Collection, mapping: Map<string, string>}} As for renumber
+     * @throws {Error} If a scaled index is not an integer, or the factor is zero
+     */
+    scale(factor) {
+        return this.renumber(index => index * factor);
+    }
+
+    /**
+     * Computes a renumbering that reverses the order of the indexes within their range,
+     * so the first index takes the last's place and vice versa.
+     *
+     * @returns {{collection: Collection, mapping: Map<string, string>}} As for renumber
+     */
+    reverse() {
+        const indexes = this.indexes;
+        const total = indexes[0] + indexes[indexes.length - 1];
+        return this.renumber(index => total - index);
+    }
+
+    /**
+     * Computes a renumbering that closes every hole, giving consecutive indexes.
+     *
+     * @param {Object} [options] - Optional configuration
+     * @param {number} [options.start] - The first index. Defaults to the collection's first index.
+     * @returns {{collection: Collection, mapping: Map<string, string>}} As for renumber
+     */
+    compact({ start = this.indexes[0] } = {}) {
+        return this.renumber((index, position) => start + position);
+    }
+
+    /**
+     * Computes a change of padding, e.g. from "shot.%03d.exr" to "shot.%04d.exr". The indexes
+     * are kept; only the member names change.
+     *
+     * @param {number} padding - The new padding, as for the constructor
+     * @throws {Error} If the padding is not a non-negative integer, or is not zero for a UdimCollection
+     *     and a mapping from each old member name to its new name, as for renumber
+     * @throws {Error} If the padding is not a non-negative integer
+     *
+     * @example
+     * const { collection, mapping } = frames.repad(4);
+     * await Collection.applyRenames(mapping, { directory: '/renders/sh010' });
+     */
+    repad(padding) {
+        const collection = this._withIndexes(this._indexes.copy(), { padding });
+        return { collection, mapping: Collection.#renameMapping(this, collection) };
+    }
+
+    /**
+     * Maps the members of a collection to the members of its renumbered or re-padded copy.
+     * Names are read through entries, so subclasses that name members differently, such
+     * as UdimCollection, get their own names.
+     *
+     * @private
+     * @param {Collection} before - The original collection
+     * @param {Collection} after - The renumbered or re-padded collection
+     * @param {Map<number, number>} [targets] - The new index of each original index, if renumbered
+     * @returns {Map<string, string>} Old to new member names, in ascending order of the old index
+     */
+    static #renameMapping(before, after, targets = null) {
+        const names = new Map(after.entries());
+        const mapping = new Map();
+        for (const [index, member] of before.entries()) {
+            mapping.set(member, names.get(targets ? targets.get(index) : index));
+        }
+        return mapping;
+    }
+
     /**
      * Format the collection according to a pattern string.
      *
      * @param {string} pattern - Format pattern string that can include placeholders:
      *     {head} - Common leading part of the collection
      *     {tail} - Common trailing part of the collection
-     *     {padding} - Padding format in %0d form
+     *     {padding} - Padding token in the chosen padding style
      *     {range} - Total range in form start-end
      *     {ranges} - Comma separated ranges of indexes
      *     {holes} - Comma separated ranges of missing indexes
+     *     {start_tc} - Timecode of the first index
+     *     {end_tc} - Timecode of the last index
+     *     {duration} - Timecode duration from the first index to the last, inclusive
+     * @param {Object} [options] - Optional configuration
+     * @param {(string|Function)} [options.paddingStyle='printf'] - A key of Collection.paddingStyles,
+     *     or a function taking the padding width and returning the token to write for {padding}
+     * @param {('x'|':'|null)} [options.stepSeparator=null] - When set, {ranges} and {holes} collapse
+     *     evenly stepped indexes into stepped ranges, written "1001-1199x2" (Nuke) or "1001-1199:2"
+     *     (Houdini). When null, only contiguous runs are collapsed.
+     * @param {Object} [options.timecode=null] - Frame rate settings for {start_tc}, {end_tc} and
+     *     {duration}, as for Collection#timecodes
      * @returns {string} - Formatted string representation of the collection
+     * @throws {Error} If the step separator or padding style is not supported, or timecode
+     *     placeholders are used without the timecode option
      */
-    format(pattern = '{head}{padding}{tail} [{ranges}]') {
+    format(pattern = '{head}{padding}{tail} [{ranges}]', {
+        paddingStyle = 'printf',
+        stepSeparator = null,
+        timecode = null
+    } = {}) {
+        if (stepSeparator !== null && stepSeparator !== 'x' && stepSeparator !== ':') {
+            throw new Error(`Invalid step separator: ${stepSeparator}. Expected 'x' or ':'.`);
+        }
+
+        let formatPadding = paddingStyle;
+        if (typeof paddingStyle !== 'function') {
+            if (!Object.prototype.hasOwnProperty.call(Collection.paddingStyles, paddingStyle)) {
+                throw new Error(`Invalid padding style: ${paddingStyle}`);
+            }
+            formatPadding = Collection.paddingStyles[paddingStyle];
+        }
+
         // Initialize data with basic collection properties
         const data = {
             head: this.head,
             tail: this.tail,
-            padding: this.padding ? `%0${this.padding}d` : '%d'
+            padding: formatPadding(this.padding)
         };
 
         // Create case-insensitive lookup for data properties
@@ -731,33 +2875,49 @@ class Collection {
             Object.entries(data).map(([key, value]) => [key.toLowerCase(), value])
         );
 
-        // Get sorted indexes for range calculations
-        const indexes = this.indexes;
+        // Get index bounds for range calculations
+        const { first, last, size } = this._indexes;
 
         // Handle holes if requested (case-insensitive check)
         if (pattern.toLowerCase().includes('{holes}')) {
-            dataLookup.holes = this.holes?.format('{ranges}') ?? '';
+            dataLookup.holes = this.holes?.format('{ranges}', { stepSeparator }) ?? '';
         }
 
         // Calculate range if needed for either {range} or {ranges} (case-insensitive check)
         const patternLower = pattern.toLowerCase();
         if (patternLower.includes('{range}') || patternLower.includes('{ranges}')) {
-            if (indexes.length === 0) {
+            if (size === 0) {
                 dataLookup.range = '';
-            } else if (indexes.length === 1) {
-                dataLookup.range = `${indexes[0]}`;
+            } else if (size === 1) {
+                dataLookup.range = `${first}`;
             } else {
-                dataLookup.range = `${indexes[0]}-${indexes[indexes.length - 1]}`;
+                dataLookup.range = `${first}-${last}`;
             }
         }
 
         // Calculate ranges if needed (case-insensitive check)
         if (patternLower.includes('{ranges}')) {
-            const separated = this.separate();
-            const ranges = separated.length > 1
-                ? separated.map(coll => coll.format('{range}'))
-                : [dataLookup.range];
-            dataLookup.ranges = ranges.filter(r => r !== '').join(', ');
+            const runs = stepSeparator
+                ? Collection.#stepRuns(this._indexes.runs)
+                : this._indexes.runs.map(([start, end]) => ({ start, end, step: 1 }));
+            dataLookup.ranges = runs
+                .map(({ start, end, step }) => Collection.#formatRun(start, end, step, stepSeparator))
+                .join(', ');
+        }
+
+        // Calculate timecodes if needed (case-insensitive check)
+        if (/{(start_tc|end_tc|duration)}/.test(patternLower)) {
+            if (timecode === null) {
+                throw new Error('Formatting timecode requires the timecode option');
+            }
+            if (size === 0) {
+                Object.assign(dataLookup, { start_tc: '', end_tc: '', duration: '' });
+            } else {
+                const { rate, dropFrame = false } = timecode;
+                dataLookup.start_tc = Collection.#indexToTimecode(first, timecode);
+                dataLookup.end_tc = Collection.#indexToTimecode(last, timecode);
+                dataLookup.duration = Timecode.fromFrame(last - first + 1, rate, { dropFrame });
+            }
         }
 
         // Replace all placeholders in pattern, case-insensitive
@@ -768,19 +2928,73 @@ class Collection {
     }
 
     /**
-     * Attempts to match a string against the collection's pattern.
+     * Creates a glob pattern matching the collection's members, for handing to shells and
+     * other tools. Characters in the head and tail with special meaning in globs are escaped.
+     * Padded indexes are matched digit by digit; unpadded indexes, whose width varies, with "*".
+     *
+     * @param {Object} [options] - Optional configuration
+     * @param {boolean} [options.wildcard=false] - Whether to match the index with "*" even when padded
+     * @returns {string} The glob pattern
+     *
+     * @example
+     * new Collection({ head: 'shot_', tail: '.exr', padding: 3 }).toGlob()  // 'shot_[0-9][0-9][0-9].exr'
+     * new Collection({ head: 'shot_', tail: '.exr' }).toGlob()              // 'shot_*.exr'
+     */
+    toGlob({ wildcard = false } = {}) {
+        let index = '*';
+        if (this.padding > 0 && !wildcard) {
+            // The sign of a negative index counts towards the padding
+            const first = this._indexes.size > 0 && this._indexes.first < 0 ? '[-0-9]' : '[0-9]';
+            index = first + '[0-9]'.repeat(this.padding - 1);
+        }
+        return `${escapeGlob(this.head)}${index}${escapeGlob(this.tail)}`;
+    }
+
+    /**
+     * Serializes the collection to a compact, versioned object. Indexes are stored as
+     * runs, so a collection of a million contiguous frames serializes to a single pair.
+     * The matching policy is written only when it differs from the default.
+     * Called by JSON.stringify; read the result back with Collection.fromJSON.
+     *
+     * @returns {{version: number, head: string, tail: string, padding: number, ranges: Array<(number|number[])>}}
+     *     The serialized collection, where each entry of ranges is a single index or an
+     *     inclusive [start, end] pair
+     *
+     * @example
+     * JSON.stringify(Collection.parse('shot.%04d.exr [1001-1100, 1200]'))
+     * // '{"version":1,"head":"shot.","tail":".exr","padding":4,"ranges":[[1001,1100],1200]}'
+     */
+    toJSON() {
+        return {
+            version: Collection.#JSON_VERSION,
+            head: this.head,
+            tail: this.tail,
+            padding: this.padding,
+            ranges: this._indexes.runs.map(([start, end]) => (start === end ? start : [start, end])),
+            ...(this.caseSensitive ? {} : { caseSensitive: false }),
+            ...(this.normalization === null ? {} : { normalization: this.normalization }),
+            ...(this.paddingMode === 'exact' ? {} : { paddingMode: this.paddingMode })
+        };
+    }
+
+    /**
+     * Attempts to match a string against the collection's pattern, under the collection's
+     * matching policy.
      *
      * @param {string} item - The string to match against the collection pattern
      * @returns {RegExpExecArray|null} The match result containing index and padding groups,
-     *     or null if no match or padding requirements aren't met
+     *     or null if no match or padding requirements of the padding mode aren't met
      */
     match(item) {
-        const match = this.#expression().exec(item);
+        const match = this.#expression().exec(normalizeText(item, this));
         if (!match) {
             return null;
         }
         const {index, padding} = match.groups;
-        if (this.padding === 0 ) {
+        if (this.paddingMode === 'minimum') {
+            // Only the way printf would write the index, so "00010" does not match a padding of 4
+            if (this.#formatIndex(Number(index)) !== index) return null;
+        } else if (this.padding === 0 ) {
             const isPadded = Boolean(padding);
             if (isPadded) return null;
         } else if (index.length !== this.padding) {
@@ -792,35 +3006,1000 @@ class Collection {
     /**
      * Validates Collection properties meet requirements.
      * @private
-     * @throws {Error} If padding or indexes are invalid
+     * @throws {Error} If padding, indexes or the matching policy are invalid
      */
     #validate() {
         if (!Number.isInteger(this.padding) || this.padding < 0) {
             throw new Error('Padding must be a non-negative integer');
         }
 
-        if (!(this._indexes instanceof Set)) {
-            throw new Error('Indexes must be a Set');
+        if (!(this._indexes instanceof IntervalSet)) {
+            throw new Error('Indexes must be an IntervalSet');
         }
 
-        for (const index of this._indexes) {
-            if (!Number.isInteger(index) || index < 0) {
-                throw new Error('All indexes must be non-negative integers');
-            }
+        if (typeof this.caseSensitive !== 'boolean') {
+            throw new Error('caseSensitive must be a boolean');
+        }
+
+        if (!Collection.#NORMALIZATIONS.includes(this.normalization)) {
+            throw new Error(`Invalid normalization: ${this.normalization}. Expected 'NFC', 'NFD' or null.`);
+        }
+
+        if (!Collection.#PADDING_MODES.includes(this.paddingMode)) {
+            throw new Error(`Invalid padding mode: ${this.paddingMode}. Expected 'exact' or 'minimum'.`);
+        }
+    }
+
+    /**
+     * Pads an index to the collection's padding. The sign of a negative index
+     * counts towards the width, matching printf-style padding in Nuke.
+     *
+     * @private
+     * @param {number} index - The index to format
+     * @returns {string} The padded index
+     */
+    #formatIndex(index) {
+        if (index < 0) {
+            return `-${String(-index).padStart(this.padding - 1, '0')}`;
         }
+        return String(index).padStart(this.padding, '0');
+    }
+
+    #assertComparable(collection, { ignorePadding = false } = {}) {
+        const compatible = ignorePadding
+            ? collection instanceof Collection && this.#hasSameText(collection)
+            : this.isCompatible(collection);
+        if (!compatible) {
+            throw new Error(`${collection} is not compatible with this collection.`);
+        }
+    }
+
+    /**
+     * Creates a collection like this one with other indexes. Every collection derived from
+     * this one, such as holes, separate and union, is created here, so subclasses override
+     * it to keep their type and fields.
+     *
+     * @protected
+     * @param {(IntervalSet|Iterable<number>)} indexes - The indexes of the new collection
+     * @param {Object} [fields] - Fields that differ from this collection
+     * @param {number} [fields.padding=this.padding] - The padding of the new collection
+     * @returns {Collection} A new collection
+     */
+    _withIndexes(indexes, { padding = this.padding } = {}) {
+        return new Collection({
+            head: this.head,
+            tail: this.tail,
+            padding,
+            indexes,
+            ...this.#policy()
+        });
+    }
+
+    #member(index) {
+        return `${this.head}${this.#formatIndex(index)}${this.tail}`;
+    }
+
+    #policy() {
+        return {
+            caseSensitive: this.caseSensitive,
+            normalization: this.normalization,
+            paddingMode: this.paddingMode
+        };
+    }
+
+    /**
+     * Checks whether another collection has the same head and tail under the matching
+     * policies of both collections, so that the answer does not depend on which is asked.
+     *
+     * @private
+     * @param {Collection} collection - The collection to compare
+     * @returns {boolean} True if the heads and tails match
+     */
+    #hasSameText(collection) {
+        return this.#hasSame('head', collection) && this.#hasSame('tail', collection);
+    }
+
+    #hasSame(field, collection) {
+        return [this, collection].every(policy =>
+            normalizeText(collection[field], policy) === normalizeText(this[field], policy));
     }
 
     /**
-     * Creates a regular expression for matching collection members.
+     * Creates a regular expression for matching collection members, normalized under the
+     * collection's matching policy. Head and tail are matched literally.
      *
      * @private
      * @returns {RegExp} Regular expression with named capture groups for index and padding
      */
     #expression() {
-        return new RegExp(`^${this.head}(?<index>(?<padding>0*)\\d+?)${this.tail}$`);
+        const head = escapeRegExp(normalizeText(this.head, this));
+        const tail = escapeRegExp(normalizeText(this.tail, this));
+        return new RegExp(`^${head}(?<index>-?(?<padding>0*)\\d+?)${tail}$`);
+    }
+
+}
+
+
+/**
+ * A Collection of UDIM texture tiles. Indexes are UDIM numbers (1001, 1002, ...), where
+ * each index maps to a (u, v) tile in a grid ten tiles wide: index = 1001 + u + 10 * v.
+ *
+ * Members are named according to the collection's scheme:
+ * - udim: The UDIM number, e.g. "diffuse.1012.tx" (Mari, token "<UDIM>")
+ * - uvtile: One-based tile coordinates, e.g. "diffuse_u2_v2.tx" (Arnold, token "<UVTILE>")
+ * - mudbox: Zero-based tile coordinates, e.g. "diffuse_u1_v1.tx" (Mudbox, token "u<U>_v<V>")
+ */
+class UdimCollection extends Collection {
+
+    static #FIRST_TILE = 1001;
+    static #TILES_PER_ROW = 10;
+
+    /**
+     * Tokens standing in for the tile in each scheme, keyed by scheme name.
+     * @const {Object}
+     */
+    static tokens = Object.freeze({
+        udim: '<UDIM>',
+        uvtile: '<UVTILE>',
+        mudbox: 'u<U>_v<V>'
+    });
+
+    /**
+     * Converts a UDIM number to zero-based tile coordinates.
+     *
+     * @param {number} index - The UDIM number
+     * @returns {{u: number, v: number}} The zero-based tile coordinates
+     * @throws {Error} If the index is not a valid UDIM number
+     *
+     * @example
+     * UdimCollection.toTile(1012)  // {u: 1, v: 1}
+     */
+    static toTile(index) {
+        if (!Number.isInteger(index) || index < UdimCollection.#FIRST_TILE) {
+            throw new Error(`Invalid UDIM: ${index}. Expected integer from ${UdimCollection.#FIRST_TILE}.`);
+        }
+        const offset = index - UdimCollection.#FIRST_TILE;
+        return {
+            u: offset % UdimCollection.#TILES_PER_ROW,
+            v: Math.floor(offset / UdimCollection.#TILES_PER_ROW)
+        };
+    }
+
+    /**
+     * Converts zero-based tile coordinates to a UDIM number.
+     *
+     * @param {number} u - Zero-based column, from 0 to 9
+     * @param {number} v - Zero-based row, from 0
+     * @returns {number} The UDIM number
+     * @throws {Error} If the coordinates are outside the UDIM grid
+     *
+     * @example
+     * UdimCollection.fromTile(1, 1)  // 1012
+     */
+    static fromTile(u, v) {
+        if (!Number.isInteger(u) || u < 0 || u >= UdimCollection.#TILES_PER_ROW) {
+            throw new Error(`Invalid tile column: ${u}. Expected integer from 0 to ${UdimCollection.#TILES_PER_ROW - 1}.`);
+        }
+        if (!Number.isInteger(v) || v < 0) {
+            throw new Error(`Invalid tile row: ${v}. Expected non-negative integer.`);
+        }
+        return UdimCollection.#FIRST_TILE + u + v * UdimCollection.#TILES_PER_ROW;
+    }
+
+    /**
+     * Creates a UdimCollection from the head, tail and indexes of a Collection,
+     * such as one returned by Collection.assemble. Padding is ignored.
+     *
+     * @param {Collection} collection - The collection to convert
+     * @param {Object} [options] - Optional configuration
+     * @param {string} [options.scheme='udim'] - The naming scheme of the members
+     * @returns {UdimCollection} A new UdimCollection
+     */
+    static fromCollection(collection, { scheme = 'udim' } = {}) {
+        return new UdimCollection({
+            head: collection.head,
+            tail: collection.tail,
+            indexes: collection.indexes,
+            scheme,
+            caseSensitive: collection.caseSensitive,
+            normalization: collection.normalization
+        });
+    }
+
+    /**
+     * Parses a string containing a "<UDIM>", "<UVTILE>" or "u<U>_v<V>" token into a UdimCollection.
+     * The scheme is taken from the token found.
+     *
+     * @param {string} string - The input string, e.g. "diffuse.<UDIM>.tx [1001-1004]"
+     * @param {Object} [options] - Optional configuration, as for Collection.parse
+     * @param {string} [options.pattern='{head}{padding}{tail} [{ranges}]'] - The pattern template,
+     *     where {padding} stands for the tile token
+     * @returns {UdimCollection} A new UdimCollection
+     * @throws {Error} If the string has no tile token or does not match the pattern
+     *
+     * @example
+     * const textures = UdimCollection.parse('diffuse_<UVTILE>.tx [1001-1002, 1011]');
+     * // textures.scheme === 'uvtile'
+     * // textures.members => ['diffuse_u1_v1.tx', 'diffuse_u2_v1.tx', 'diffuse_u1_v2.tx']
+     */
+    static parse(string, options = {}) {
+        const found = Object.entries(UdimCollection.tokens)
+            .map(([scheme, token]) => ({ scheme, token, position: string.lastIndexOf(token) }))
+            .filter(({ position }) => position !== -1)
+            .sort((a, b) => b.position - a.position)[0];
+        if (!found) {
+            throw new Error(`String "${string}" does not contain a UDIM tile token`);
+        }
+
+        const { scheme, token, position } = found;
+        const replaced = `${string.slice(0, position)}%d${string.slice(position + token.length)}`;
+        return UdimCollection.fromCollection(Collection.parse(replaced, options), { scheme });
+    }
+
+    /**
+     * Creates a UdimCollection from the data written by UdimCollection#toJSON. A missing
+     * scheme reads as 'udim', so plain Collection data of UDIM numbers can be read too.
+     *
+     * @param {(Object|string)} json - The serialized collection, or a JSON string of it
+     * @returns {UdimCollection} A new UdimCollection
+     * @throws {Error} If the data is not valid, naming the offending field
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const collection = Collection.fromJSON(data);
+        const { scheme = 'udim' } = data;
+        if (!Object.prototype.hasOwnProperty.call(UdimCollection.tokens, scheme)) {
+            throw new Error(`Invalid collection JSON: "scheme" must be one of ${Object.keys(UdimCollection.tokens).join(', ')}`);
+        }
+        return UdimCollection.fromCollection(collection, { scheme });
+    }
+
+    /**
+     * Creates a new UdimCollection instance.
+     *
+     * @param {Object} options - Configuration options
+     * @param {string} [options.head=""] - The prefix string that appears before each tile
+     * @param {string} [options.tail=""] - The suffix string that appears after each tile
+     * @param {number[]} [options.indexes=[]] - UDIM numbers of the tiles in the collection
+     * @param {string} [options.scheme='udim'] - The naming scheme of the members: 'udim', 'uvtile' or 'mudbox'
+     * @param {boolean} [options.caseSensitive=true] - Whether members are matched case-sensitively
+     * @param {('NFC'|'NFD'|null)} [options.normalization=null] - The Unicode normalization form applied before matching
+     * @throws {Error} If the scheme is unknown or an index is not a valid UDIM number
+     */
+    constructor({
+        head = '',
+        tail = '',
+        indexes = [],
+        scheme = 'udim',
+        caseSensitive = true,
+        normalization = null
+    } = {}) {
+        super({ head, tail, padding: 0, indexes, caseSensitive, normalization });
+        if (!Object.prototype.hasOwnProperty.call(UdimCollection.tokens, scheme)) {
+            throw new Error(`Invalid UDIM scheme: ${scheme}. Expected one of ${Object.keys(UdimCollection.tokens).join(', ')}.`);
+        }
+        this.scheme = scheme;
+        this._indexes.forEach(UdimCollection.toTile);
+    }
+
+    /**
+     * Gets the tiles in the collection in ascending UDIM order.
+     *
+     * @returns {{index: number, u: number, v: number}[]} Each UDIM number with its zero-based coordinates
+     */
+    get tiles() {
+        return this.indexes.map(index => ({ index, ...UdimCollection.toTile(index) }));
+    }
+
+    /**
+     * Iterates the member names of the tiles lazily, written in the collection's scheme.
+     *
+     * @param {Object} [options] - Optional configuration, as for Collection#keys
+     * @yields {string} The member names
+     */
+    *values(options = {}) {
+        for (const index of this.keys(options)) {
+            yield `${this.head}${this.#formatTile(index)}${this.tail}`;
+        }
+    }
+
+    /**
+     * Gets a new UdimCollection containing the tiles missing from the bounding box
+     * of the tile grid, rather than from the range of UDIM numbers.
+     *
+     * @returns {UdimCollection|null} The missing tiles, or null if there are none or fewer than 2 tiles
+     */
+    get holes() {
+        if (this._indexes.size < 2) return null;
+        const tiles = this.tiles;
+        const us = tiles.map(tile => tile.u);
+        const vs = tiles.map(tile => tile.v);
+        const holes = [];
+        for (let v = Math.min(...vs); v <= Math.max(...vs); v++) {
+            for (let u = Math.min(...us); u <= Math.max(...us); u++) {
+                const index = UdimCollection.fromTile(u, v);
+                if (!this._indexes.has(index)) {
+                    holes.push(index);
+                }
+            }
+        }
+        return holes.length > 0 ? this._withIndexes(holes) : null;
+    }
+
+    /**
+     * Creates a UdimCollection like this one with other indexes, keeping the scheme, so that
+     * collections derived from this one, such as separate and union, name their members alike.
+     *
+     * @protected
+     * @param {(IntervalSet|Iterable<number>)} indexes - UDIM numbers of the new collection
+     * @param {Object} [fields] - Fields that differ from this collection
+     * @param {number} [fields.padding=0] - Must be zero, as tiles are never padded
+     * @returns {UdimCollection} A new UdimCollection
+     * @throws {Error} If a padding other than zero is given
+     */
+    _withIndexes(indexes, { padding = 0 } = {}) {
+        if (padding !== 0) {
+            throw new Error(`Invalid padding: ${padding}. UDIM tiles are not padded.`);
+        }
+        return new UdimCollection({
+            head: this.head,
+            tail: this.tail,
+            indexes,
+            scheme: this.scheme,
+            caseSensitive: this.caseSensitive,
+            normalization: this.normalization
+        });
+    }
+
+    /**
+     * Checks if the tiles fill their bounding box in the tile grid.
+     *
+     * @returns {boolean} True if no tiles are missing from the bounding box
+     */
+    get isContiguous() {
+        return this.holes === null;
+    }
+
+    /**
+     * Adds items to the collection. Items can be UDIM numbers, member strings, or compatible Collections.
+     *
+     * @param {(number|string|Collection|Array<number|string|Collection>)} items - Items to add
+     * @returns {UdimCollection} The collection instance for chaining
+     * @throws {Error} If items are invalid, not valid UDIM numbers, or incompatible with the collection
+     */
+    add(items) {
+        const previous = this._indexes;
+        super.add(items);
+        try {
+            this._indexes.forEach(UdimCollection.toTile);
+        } catch (error) {
+            this._indexes = previous;
+            throw error;
+        }
+        return this;
+    }
+
+    /**
+     * Checks if another collection has compatible formatting with this one.
+     *
+     * @param {Collection} collection - The collection to check for compatibility
+     * @returns {boolean} True if the collections have matching head and tail, and matching scheme
+     *     when the other collection is also a UdimCollection
+     */
+    isCompatible(collection) {
+        return super.isCompatible(collection) &&
+            (!(collection instanceof UdimCollection) || collection.scheme === this.scheme);
+    }
+
+    /**
+     * Format the collection according to a pattern string, as Collection.format does.
+     * {padding} is always written as the tile token of the collection's scheme, and
+     * {range}, {ranges} and {holes} are written as UDIM numbers.
+     *
+     * @param {string} pattern - Format pattern string
+     * @param {Object} [options] - Optional configuration, as for Collection.format
+     * @returns {string} - Formatted string representation of the collection
+     */
+    format(pattern = '{head}{padding}{tail} [{ranges}]', options = {}) {
+        const token = UdimCollection.tokens[this.scheme];
+        return super.format(pattern, { ...options, paddingStyle: () => token });
+    }
+
+    /**
+     * Creates a glob pattern matching the collection's members, as Collection#toGlob does.
+     * UDIM numbers are matched as four digits, and tile coordinates with "*".
+     *
+     * @param {Object} [options] - Optional configuration
+     * @param {boolean} [options.wildcard=false] - Whether to match UDIM numbers with "*"
+     * @returns {string} The glob pattern
+     */
+    toGlob({ wildcard = false } = {}) {
+        let tile = 'u*_v*';
+        if (this.scheme === 'udim') {
+            tile = wildcard ? '*' : '[1-9][0-9][0-9][0-9]';
+        }
+        return `${escapeGlob(this.head)}${tile}${escapeGlob(this.tail)}`;
+    }
+
+    /**
+     * Serializes the collection as Collection#toJSON does, adding the scheme.
+     *
+     * @returns {Object} The serialized collection
+     */
+    toJSON() {
+        return { ...super.toJSON(), scheme: this.scheme };
+    }
+
+    /**
+     * Attempts to match a string against the collection's scheme. The index group of the
+     * returned match always holds the UDIM number, and the u and v groups hold the
+     * zero-based tile coordinates.
+     *
+     * @param {string} item - The string to match against the collection pattern
+     * @returns {RegExpExecArray|null} The match result, or null if no match
+     */
+    match(item) {
+        const head = escapeRegExp(normalizeText(this.head, this));
+        const tail = escapeRegExp(normalizeText(this.tail, this));
+        item = normalizeText(item, this);
+        if (this.scheme === 'udim') {
+            const match = new RegExp(`^${head}(?<index>[1-9]\\d{3,})${tail}$`).exec(item);
+            if (!match) return null;
+            Object.assign(match.groups, UdimCollection.toTile(Number(match.groups.index)));
+            return match;
+        }
+
+        const match = new RegExp(`^${head}u(?<u>\\d+)_v(?<v>\\d+)${tail}$`).exec(item);
+        if (!match) return null;
+        const offset = this.scheme === 'uvtile' ? 1 : 0;
+        const u = Number(match.groups.u) - offset;
+        const v = Number(match.groups.v) - offset;
+        if (u < 0 || u >= UdimCollection.#TILES_PER_ROW || v < 0) return null;
+        match.groups.u = u;
+        match.groups.v = v;
+        match.groups.index = String(UdimCollection.fromTile(u, v));
+        return match;
+    }
+
+    #formatTile(index) {
+        if (this.scheme === 'udim') {
+            return String(index);
+        }
+        const { u, v } = UdimCollection.toTile(index);
+        const offset = this.scheme === 'uvtile' ? 1 : 0;
+        return `u${u + offset}_v${v + offset}`;
+    }
+
+}
+
+
+/**
+ * A Collection that cannot be changed. Its fields are read-only, and with, add and remove
+ * return new FrozenCollections instead of changing this one, returning this collection itself
+ * when nothing would change. Its indexes are frozen too, so new instances share them with this
+ * one where they can, and a FrozenCollection can be cached, used as a cache key, or held as
+ * React state safely.
+ *
+ * Methods that derive other collections, such as union, holes, renumber or repad, return
+ * FrozenCollections too.
+ */
+class FrozenCollection extends Collection {
+
+    /**
+     * Creates a new FrozenCollection instance.
+     *
+     * @param {Object} options - Configuration options, as for Collection
+     */
+    constructor(options = {}) {
+        super(options);
+        this._indexes.freeze();
+        Object.freeze(this);
+    }
+
+    /**
+     * Creates a FrozenCollection from a Collection, in time proportional to the number of
+     * runs of consecutive indexes rather than the number of indexes.
+     *
+     * @param {Collection} collection - The collection to freeze
+     * @returns {FrozenCollection} The collection itself if already frozen, or a new FrozenCollection
+     */
+    static fromCollection(collection) {
+        if (collection instanceof FrozenCollection) {
+            return collection;
+        }
+        return new FrozenCollection({
+            head: collection.head,
+            tail: collection.tail,
+            padding: collection.padding,
+            indexes: collection._indexes.copy(),
+            caseSensitive: collection.caseSensitive,
+            normalization: collection.normalization,
+            paddingMode: collection.paddingMode
+        });
+    }
+
+    /**
+     * Creates a mutable Collection with the same fields and indexes, in time proportional
+     * to the number of runs of consecutive indexes.
+     *
+     * @returns {Collection} A new Collection
+     */
+    toCollection() {
+        return new Collection({ ...this.#fields(), indexes: this._indexes.copy() });
+    }
+
+    /**
+     * Creates a FrozenCollection with some fields replaced. The indexes are shared with this
+     * collection unless new ones are given.
+     *
+     * @param {Object} fields - The fields to replace: head, tail, padding, indexes, caseSensitive,
+     *     normalization or paddingMode
+     * @returns {FrozenCollection} A new FrozenCollection, or this one if no field changes
+     * @throws {Error} If a field is invalid
+     *
+     * @example
+     * const frozen = FrozenCollection.fromCollection(Collection.parse('shot.%04d.exr [1-10]'));
+     * frozen.with({ tail: '.jpg' }).format() // 'shot.%04d.jpg [1-10]'
+     */
+    with(fields) {
+        const current = this.#fields();
+        const unchanged = !Object.prototype.hasOwnProperty.call(fields, 'indexes') &&
+            Object.keys(fields).every(key => fields[key] === current[key]);
+        if (unchanged) {
+            return this;
+        }
+        return new FrozenCollection({ ...current, indexes: this._indexes, ...fields });
+    }
+
+    /**
+     * Creates a FrozenCollection with items added, accepting the same items as Collection#add.
+     *
+     * @param {(number|string|Collection|Array<number|string|Collection>)} items - Items to add
+     * @returns {FrozenCollection} A new FrozenCollection, or this one if every item is already present
+     * @throws {Error} If items are invalid or incompatible with the collection
+     */
+    add(items) {
+        const indexes = this.toCollection().add(items)._indexes;
+        return indexes.size === this._indexes.size ? this : new FrozenCollection({ ...this.#fields(), indexes });
+    }
+
+    /**
+     * Creates a FrozenCollection with items removed, accepting the same items and options as
+     * Collection#remove.
+     *
+     * @param {(number|string|Collection|Array<number|string|Collection>)} items - Items to remove
+     * @param {Object} [options] - Optional configuration
+     * @param {boolean} [options.strict=false] - If true, throws errors for invalid items
+     * @returns {FrozenCollection} A new FrozenCollection, or this one if no item was present
+     * @throws {Error} If strict mode is enabled and invalid items are provided
+     */
+    remove(items, options = {}) {
+        const indexes = this.toCollection().remove(items, options)._indexes;
+        return indexes.size === this._indexes.size ? this : new FrozenCollection({ ...this.#fields(), indexes });
+    }
+
+    /**
+     * Creates a FrozenCollection like this one with other indexes, so that collections
+     * derived from this one, such as union or repad, cannot be changed either.
+     *
+     * @protected
+     * @param {(IntervalSet|Iterable<number>)} indexes - The indexes of the new collection
+     * @param {Object} [fields] - Fields that differ from this collection
+     * @param {number} [fields.padding=this.padding] - The padding of the new collection
+     * @returns {FrozenCollection} A new FrozenCollection
+     */
+    _withIndexes(indexes, { padding = this.padding } = {}) {
+        return new FrozenCollection({ ...this.#fields(), padding, indexes });
+    }
+
+    #fields() {
+        return {
+            head: this.head,
+            tail: this.tail,
+            padding: this.padding,
+            caseSensitive: this.caseSensitive,
+            normalization: this.normalization,
+            paddingMode: this.paddingMode
+        };
+    }
+
+}
+
+
+/**
+ * A collection of items with several independently varying numeric fields, such as the
+ * version and frame of "comp_v003.1001.exr". Each field is an axis with its own padding,
+ * and each member is identified by a tuple of indexes, one per axis.
+ *
+ * The literal text around the fields is held in parts, which has one more entry than
+ * there are axes: parts ['comp_v', '.', '.exr'] with axes [version, frame] describe
+ * the members "comp_v{version}.{frame}.exr".
+ */
+class MultiCollection {
+
+    /**
+     * Assembles items into collections with several varying numeric fields. Items are grouped
+     * by the text around their numbers and by the padding of each number. Numbers that are the
+     * same in every item of a group are kept as literal text, so each axis of the resulting
+     * collections varies.
+     *
+     * Unlike Collection.assemble, a hyphen before a number is always kept as literal text.
+     *
+     * @param {Iterable<string>} strings - Items to assemble
+     * @param {Object} [options] - Optional configuration
+     * @param {number} [options.minItems=2] - Minimum number of items a collection must have
+     * @param {boolean} [options.caseSensitive=true] - Whether to treat items as case-sensitive
+     * @param {string[]} [options.names=[]] - Names given to the axes of each collection, in order
+     * @returns {[MultiCollection[], string[]]} - Tuple of [collections, remainder]
+     *
+     * @example
+     * const [[comps]] = MultiCollection.assemble(['comp_v003.1001.exr', 'comp_v003.1002.exr', 'comp_v004.1001.exr'], {
+     *     names: ['version', 'frame']
+     * });
+     * // comps.format() => 'comp_v%03d.%d.exr [3-4; 1001-1002]'
+     */
+    static assemble(strings, {
+        minItems = 2,
+        caseSensitive = true,
+        names = []
+    } = {}) {
+        const groups = new Map();
+        const remainder = [];
+
+        for (const item of strings) {
+            const split = item.split(/(\d+)/);
+            if (split.length === 1) {
+                remainder.push(item);
+                continue;
+            }
+
+            const parts = split.filter((_, i) => i % 2 === 0);
+            const digits = split.filter((_, i) => i % 2 === 1);
+            const paddings = digits.map(value => (value.length > 1 && value.startsWith('0') ? value.length : 0));
+            const partsKey = JSON.stringify(caseSensitive ? parts : parts.map(part => part.toLowerCase()));
+            const key = `${partsKey}|${paddings.join(',')}`;
+
+            if (!groups.has(key)) {
+                groups.set(key, { parts, partsKey, paddings, items: [] });
+            }
+            groups.get(key).items.push({ item, digits });
+        }
+
+        const merged = MultiCollection.#mergePaddings(Array.from(groups.values()));
+
+        const collections = [];
+        for (const group of merged) {
+            const collection = MultiCollection.#createCollection(group, names);
+            if (collection === null || collection._indexes.size < minItems) {
+                group.items.forEach(({ item }) => remainder.push(item));
+            } else {
+                collections.push(collection);
+            }
+        }
+
+        return [collections, remainder];
+    }
+
+    /**
+     * Merges groups with unpadded fields into groups whose padding the numbers fit, as
+     * Collection.assemble does for "v009" and "v010" when "v100" is also present.
+     *
+     * @private
+     */
+    static #mergePaddings(groups) {
+        const mergedAway = new Set();
+
+        for (const source of groups) {
+            if (!source.paddings.includes(0)) continue;
+
+            const target = groups.find(candidate => candidate !== source &&
+                !mergedAway.has(candidate) &&
+                candidate.partsKey === source.partsKey &&
+                candidate.paddings.every((padding, i) => padding === source.paddings[i] ||
+                    (source.paddings[i] === 0 && source.items.every(({ digits }) => digits[i].length === padding))));
+
+            if (target) {
+                target.items.push(...source.items);
+                mergedAway.add(source);
+            }
+        }
+
+        return groups.filter(group => !mergedAway.has(group));
+    }
+
+    /**
+     * Creates a collection from a group of items, keeping fields that never change as
+     * literal text. Returns null if no field changes.
+     *
+     * @private
+     */
+    static #createCollection({ parts, paddings, items }, names) {
+        const literalParts = [parts[0]];
+        const axes = [];
+        const varying = [];
+
+        paddings.forEach((padding, i) => {
+            const first = items[0].digits[i];
+            if (items.every(({ digits }) => digits[i] === first)) {
+                literalParts[literalParts.length - 1] += first + parts[i + 1];
+                return;
+            }
+            const name = names[axes.length];
+            axes.push(name === undefined ? { padding } : { name, padding });
+            varying.push(i);
+            literalParts.push(parts[i + 1]);
+        });
+
+        if (axes.length === 0) {
+            return null;
+        }
+
+        return new MultiCollection({
+            parts: literalParts,
+            axes,
+            indexes: items.map(({ digits }) => varying.map(i => parseInt(digits[i], 10)))
+        });
+    }
+
+    /**
+     * Creates a new MultiCollection instance.
+     *
+     * @param {Object} options - Configuration options
+     * @param {string[]} [options.parts=['', '']] - The literal text before, between and after the
+     *     fields. There is one more part than there are axes.
+     * @param {{name: string, padding: number}[]} [options.axes] - The name and padding of each field.
+     *     Names are optional; unnamed axes are referred to by position. Defaults to unnamed,
+     *     unpadded axes.
+     * @param {number[][]} [options.indexes=[]] - The members, as tuples with one index per axis
+     * @throws {Error} If the parts, axes or indexes are invalid
+     *
+     * @example
+     * const comps = new MultiCollection({
+     *     parts: ['comp_v', '.', '.exr'],
+     *     axes: [{ name: 'version', padding: 3 }, { name: 'frame', padding: 4 }],
+     *     indexes: [[3, 1001], [3, 1002], [4, 1001]]
+     * });
+     * // comps.members => ['comp_v003.1001.exr', 'comp_v003.1002.exr', 'comp_v004.1001.exr']
+     */
+    constructor({
+        parts = ['', ''],
+        axes = null,
+        indexes = []
+    } = {}) {
+        if (!Array.isArray(parts) || parts.length < 2 || parts.some(part => typeof part !== 'string')) {
+            throw new Error('Parts must be an array of at least two strings');
+        }
+        this.parts = [...parts];
+        this.axes = (axes ?? parts.slice(1).map(() => ({ padding: 0 }))).map(axis => ({ ...axis }));
+        this._indexes = new Map();
+        this.#validate();
+        this.add(indexes);
+    }
+
+    /**
+     * Gets the members' index tuples, sorted by the first axis, then the second, and so on.
+     *
+     * @returns {number[][]} Array of index tuples
+     */
+    get indexes() {
+        return Array.from(this._indexes.values())
+            .sort((a, b) => {
+                for (let i = 0; i < a.length; i++) {
+                    if (a[i] !== b[i]) return a[i] - b[i];
+                }
+                return 0;
+            })
+            .map(tuple => [...tuple]);
+    }
+
+    /**
+     * Gets the formatted string representations of all members in the collection.
+     *
+     * @returns {string[]} Array of member strings, in the order of indexes
+     */
+    get members() {
+        return Array.from(this.values());
+    }
+
+    /**
+     * Iterates the collection's members in the order of indexes.
+     *
+     * @returns {Iterator<string>} An iterator over the members
+     */
+    [Symbol.iterator]() {
+        return this.values();
+    }
+
+    /**
+     * Iterates the collection's members in the order of indexes.
+     *
+     * @yields {string} The members
+     */
+    *values() {
+        for (const tuple of this.indexes) {
+            yield this.#member(tuple);
+        }
+    }
+
+    /**
+     * Adds members to the collection.
+     *
+     * @param {(number[]|number[][])} indexes - An index tuple, or an array of index tuples
+     * @returns {MultiCollection} The collection, for chaining
+     * @throws {Error} If a tuple does not have one integer per axis
+     */
+    add(indexes) {
+        const tuples = Array.from(indexes);
+        const list = tuples.length > 0 && !Array.isArray(tuples[0]) ? [tuples] : tuples;
+        for (const tuple of list) {
+            if (!Array.isArray(tuple) || tuple.length !== this.axes.length || !tuple.every(Number.isInteger)) {
+                throw new Error(`Invalid index tuple: ${JSON.stringify(tuple)}. Expected ${this.axes.length} integers.`);
+            }
+            this._indexes.set(tuple.join(','), Object.freeze([...tuple]));
+        }
+        return this;
+    }
+
+    /**
+     * Gets the distinct indexes along one axis.
+     *
+     * @param {(string|number)} axis - The axis name, or its position
+     * @returns {number[]} The indexes in ascending order
+     * @throws {Error} If the axis does not exist
+     *
+     * @example
+     * comps.valuesOf('version')  // [3, 4]
+     */
+    valuesOf(axis) {
+        const position = this.#position(axis);
+        const values = new Set();
+        this._indexes.forEach(tuple => values.add(tuple[position]));
+        return Array.from(values).sort((a, b) => a - b);
+    }
+
+    /**
+     * Gets the highest index along one axis, such as the latest version.
+     *
+     * @param {(string|number)} axis - The axis name, or its position
+     * @returns {(number|undefined)} The highest index, or undefined if the collection is empty
+     * @throws {Error} If the axis does not exist
+     */
+    latest(axis) {
+        const values = this.valuesOf(axis);
+        return values[values.length - 1];
+    }
+
+    /**
+     * Takes the members with one index along an axis, such as all frames of one version.
+     * The index is written into the literal text, and the axis removed.
+     *
+     * @param {(string|number)} axis - The axis name, or its position
+     * @param {number} index - The index to keep
+     * @returns {(Collection|MultiCollection)} A Collection when one axis remains, otherwise a
+     *     MultiCollection with the remaining axes
+     * @throws {Error} If the axis does not exist
+     *
+     * @example
+     * comps.slice('version', comps.latest('version')).format()  // 'comp_v004.%04d.exr [1001]'
+     */
+    slice(axis, index) {
+        const position = this.#position(axis);
+        const literal = `${this.parts[position]}${MultiCollection.#formatIndex(index, this.axes[position].padding)}${this.parts[position + 1]}`;
+        const parts = [...this.parts.slice(0, position), literal, ...this.parts.slice(position + 2)];
+        const axes = this.axes.filter((_, i) => i !== position);
+        const indexes = Array.from(this._indexes.values())
+            .filter(tuple => tuple[position] === index)
+            .map(tuple => tuple.filter((_, i) => i !== position));
+
+        if (axes.length === 1) {
+            return new Collection({
+                head: parts[0],
+                tail: parts[1],
+                padding: axes[0].padding,
+                indexes: indexes.map(([value]) => value)
+            });
+        }
+        return new MultiCollection({ parts, axes, indexes });
+    }
+
+    /**
+     * Format the collection according to a pattern string. Axis placeholders take the axis
+     * name or position after a colon, e.g. {ranges:frame} or {ranges:1}.
+     *
+     * @param {string} pattern - Format pattern string that can include placeholders:
+     *     {head} - Text before the first field
+     *     {tail} - Text after the last field
+     *     {pattern} - The parts joined by padding tokens in the chosen padding style
+     *     {ranges} - Comma separated ranges of each axis, separated by semicolons
+     *     {ranges:axis} - Comma separated ranges of indexes along one axis
+     *     {range:axis} - Total range along one axis in form start-end
+     *     {holes:axis} - Comma separated ranges of missing indexes along one axis
+     *     {padding:axis} - Padding token of one axis
+     * @param {Object} [options] - Optional configuration, as for Collection.format
+     * @returns {string} - Formatted string representation of the collection
+     * @throws {Error} If an axis does not exist or the padding style is not supported
+     */
+    format(pattern = '{pattern} [{ranges}]', options = {}) {
+        const formatAxis = (placeholder, position) => this.#axisCollection(position)
+            .format(`{${placeholder}}`, options);
+
+        return pattern.replace(/{(\w+)(?::(\w+))?}/g, (match, key, axis) => {
+            const normalizedKey = key.toLowerCase();
+            if (axis !== undefined) {
+                if (!['ranges', 'range', 'holes', 'padding'].includes(normalizedKey)) return match;
+                return formatAxis(normalizedKey, this.#position(axis));
+            }
+
+            switch (normalizedKey) {
+            case 'head':
+                return this.parts[0];
+            case 'tail':
+                return this.parts[this.parts.length - 1];
+            case 'pattern':
+                return this.parts.reduce((text, part, i) => `${text}${formatAxis('padding', i - 1)}${part}`);
+            case 'ranges':
+                return this.axes.map((_, i) => formatAxis('ranges', i)).join('; ');
+            default:
+                return match;
+            }
+        });
+    }
+
+    /**
+     * Validates MultiCollection properties meet requirements.
+     * @private
+     * @throws {Error} If the axes are invalid
+     */
+    #validate() {
+        if (!Array.isArray(this.axes) || this.axes.length !== this.parts.length - 1) {
+            throw new Error(`Expected ${this.parts.length - 1} axes for ${this.parts.length} parts`);
+        }
+
+        const names = new Set();
+        for (const { name, padding } of this.axes) {
+            if (!Number.isInteger(padding) || padding < 0) {
+                throw new Error('Padding must be a non-negative integer');
+            }
+            if (name === undefined) continue;
+            if (typeof name !== 'string' || /^\d+$/.test(name) || names.has(name)) {
+                throw new Error(`Invalid axis name: ${name}. Expected a unique, non-numeric string.`);
+            }
+            names.add(name);
+        }
+    }
+
+    #position(axis) {
+        let position = axis;
+        if (typeof axis === 'string') {
+            position = /^\d+$/.test(axis) ? Number(axis) : this.axes.findIndex(({ name }) => name === axis);
+        }
+        if (!Number.isInteger(position) || position < 0 || position >= this.axes.length) {
+            throw new Error(`Unknown axis: ${axis}`);
+        }
+        return position;
+    }
+
+    #axisCollection(position) {
+        return new Collection({
+            padding: this.axes[position].padding,
+            indexes: this.valuesOf(position)
+        });
+    }
+
+    #member(tuple) {
+        return this.parts.reduce((text, part, i) => (
+            `${text}${MultiCollection.#formatIndex(tuple[i - 1], this.axes[i - 1].padding)}${part}`
+        ));
+    }
+
+    static #formatIndex(index, padding) {
+        if (index < 0) {
+            return `-${String(-index).padStart(padding - 1, '0')}`;
+        }
+        return String(index).padStart(padding, '0');
     }
 
 }
 
 
-export { range, Collection };
+export { range, naturalCompare, Timecode, Collection, UdimCollection, FrozenCollection, MultiCollection };
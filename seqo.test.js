@@ -8,7 +8,12 @@
  */
 
 
-import { range, Collection } from './seqo.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { jest } from '@jest/globals';
+import { range, naturalCompare, Timecode, Collection, UdimCollection, FrozenCollection, MultiCollection } from './seqo.js';
 
 
 describe('range', () => {
@@ -128,13 +133,13 @@ describe('Collection.validate', () => {
         })).toThrow('Padding must be a non-negative integer');
     });
 
-    test('rejects negative indexes', () => {
+    test('accepts negative indexes', () => {
         expect(() => new Collection({
             head: 'file_',
             tail: '.txt',
             padding: 2,
             indexes: [1, -2, 3]
-        })).toThrow('All indexes must be non-negative integers');
+        })).not.toThrow();
     });
 
     test('rejects decimal indexes', () => {
@@ -143,7 +148,7 @@ describe('Collection.validate', () => {
             tail: '.txt',
             padding: 2,
             indexes: [1, 2.5, 3]
-        })).toThrow('All indexes must be non-negative integers');
+        })).toThrow('All indexes must be integers');
     });
 
 });
@@ -292,8 +297,8 @@ describe('Collection.add', () => {
     });
 
     test('throws error when adding invalid number', () => {
-        expect(() => collection.add(-1)).toThrow('Invalid index: -1. Expected non-negative integer');
-        expect(() => collection.add(3.5)).toThrow('Invalid index: 3.5. Expected non-negative integer');
+        expect(() => collection.add(3.5)).toThrow('Invalid index: 3.5. Expected integer');
+        expect(() => collection.add(NaN)).toThrow('Invalid index: NaN. Expected integer');
     });
 
     test('throws error when adding invalid type', () => {
@@ -453,7 +458,7 @@ describe('Collection.remove', () => {
         expect(collection.indexes).toEqual([1, 2, 3, 4, 5]);
     });
 
-    test('ignores invalid index (negative number)', () => {
+    test('ignores non-existent negative index', () => {
         collection.remove(-1);
         expect(collection.indexes).toEqual([1, 2, 3, 4, 5]);
     });
@@ -577,16 +582,16 @@ describe('Collection.remove', () => {
             }).toThrow('Invalid string format');
         });
 
-        test('throws on negative index', () => {
+        test('accepts negative index', () => {
             expect(() => {
                 collection.remove(-1, { strict: true });
-            }).toThrow('Expected non-negative integer: -1');
+            }).not.toThrow();
         });
 
         test('throws on float index', () => {
             expect(() => {
                 collection.remove(2.5, { strict: true });
-            }).toThrow('Expected non-negative integer: 2.5');
+            }).toThrow('Expected integer: 2.5');
         });
 
         test('throws on invalid item type', () => {
@@ -1470,3 +1475,2105 @@ describe('Collection.parse', () => {
         expect(result.indexes).toEqual([1, 2, 3]);
     });
 });
+
+
+describe('Collection negative indexes', () => {
+    let collection;
+
+    beforeEach(() => {
+        collection = new Collection({
+            head: 'sim.',
+            tail: '.exr',
+            padding: 4,
+            indexes: [-10, -9, -1, 0, 3]
+        });
+    });
+
+    test('pads negative members counting the sign', () => {
+        expect(collection.members).toEqual([
+            'sim.-010.exr', 'sim.-009.exr', 'sim.-001.exr', 'sim.0000.exr', 'sim.0003.exr'
+        ]);
+    });
+
+    test('matches signed members', () => {
+        expect(collection.match('sim.-010.exr').groups.index).toBe('-010');
+        expect(collection.match('sim.-0010.exr')).toBeNull();
+        expect(collection.match('sim.0010.exr')).not.toBeNull();
+    });
+
+    test('adds and removes signed members and indexes', () => {
+        collection.add(['sim.-100.exr', -2]);
+        collection.remove('sim.-009.exr');
+        expect(collection.indexes).toEqual([-100, -10, -2, -1, 0, 3]);
+    });
+
+    test('identifies holes across zero', () => {
+        expect(collection.holes.indexes).toEqual([-8, -7, -6, -5, -4, -3, -2, 1, 2]);
+    });
+
+    test('separates across zero', () => {
+        expect(collection.separate().map(c => c.indexes)).toEqual([[-10, -9], [-1, 0], [3]]);
+        expect(new Collection({ indexes: [-2, -1, 0, 1] }).isContiguous).toBe(true);
+    });
+
+    test('formats negative ranges', () => {
+        const negative = new Collection({ head: 'sim.', tail: '.exr', indexes: [-10, -9, -8, -1, 3] });
+        expect(negative.format('{ranges}')).toBe('-10--8, -1, 3');
+        expect(negative.format('{range}')).toBe('-10-3');
+        expect(negative.format('{holes}')).toBe('-7--2, 0-2');
+    });
+
+    test('parses negative ranges', () => {
+        const result = Collection.parse('sim.%04d.exr [-10--8, -1, 3]');
+        expect(result.indexes).toEqual([-10, -9, -8, -1, 3]);
+
+        const withRange = Collection.parse('sim.%04d.exr [-3-2]', { pattern: '{head}{padding}{tail} [{range}]' });
+        expect(withRange.indexes).toEqual([-3, -2, -1, 0, 1, 2]);
+    });
+
+    test('round-trips through format and parse', () => {
+        const result = Collection.parse(collection.format());
+        expect(result.padding).toBe(4);
+        expect(result.indexes).toEqual(collection.indexes);
+    });
+
+    test('throws on malformed negative ranges', () => {
+        expect(() => Collection.parse('sim.%04d.exr [-10--]')).toThrow('Invalid range format');
+        expect(() => Collection.parse('sim.%04d.exr [--1]')).toThrow('Invalid range format');
+    });
+
+    test('assembles signed indexes', () => {
+        const items = ['sim.-010.exr', 'sim.-009.exr', 'sim.0000.exr', 'sim.0001.exr', 'sim.-100.exr'];
+        const [collections, remainder] = Collection.assemble(items);
+
+        expect(collections).toHaveLength(1);
+        expect(collections[0].head).toBe('sim.');
+        expect(collections[0].padding).toBe(4);
+        expect(collections[0].indexes).toEqual([-100, -10, -9, 0, 1]);
+        expect(remainder).toEqual([]);
+    });
+
+    test('keeps hyphens in the head with literalHyphens', () => {
+        const items = ['shot-001.exr', 'shot-002.exr', 'shot-003.exr'];
+
+        const [signed] = Collection.assemble(items);
+        expect(signed[0].head).toBe('shot');
+        expect(signed[0].indexes).toEqual([-3, -2, -1]);
+
+        const [literal] = Collection.assemble(items, { literalHyphens: true });
+        expect(literal[0].head).toBe('shot-');
+        expect(literal[0].padding).toBe(3);
+        expect(literal[0].indexes).toEqual([1, 2, 3]);
+    });
+});
+
+
+describe('Collection stepped ranges', () => {
+    let collection;
+
+    beforeEach(() => {
+        collection = new Collection({
+            head: 'render.',
+            tail: '.exr',
+            padding: 4,
+            indexes: [...range(1001, 1200, 2)]
+        });
+    });
+
+    test('formats contiguous runs by default', () => {
+        expect(collection.format('{ranges}').split(', ')).toHaveLength(100);
+    });
+
+    test('formats Nuke stepped ranges', () => {
+        expect(collection.format('{ranges}', { stepSeparator: 'x' })).toBe('1001-1199x2');
+    });
+
+    test('formats Houdini stepped ranges', () => {
+        expect(collection.format('{ranges}', { stepSeparator: ':' })).toBe('1001-1199:2');
+    });
+
+    test('mixes contiguous and stepped runs', () => {
+        const mixed = new Collection({ indexes: [1, 2, 3, 5, 7, 9, 20, 30] });
+        expect(mixed.format('{ranges}', { stepSeparator: 'x' })).toBe('1-3, 5-9x2, 20, 30');
+    });
+
+    test('does not step two lone indexes', () => {
+        const sparse = new Collection({ indexes: [1, 4, 5, 6] });
+        expect(sparse.format('{ranges}', { stepSeparator: 'x' })).toBe('1, 4-6');
+    });
+
+    test('steps holes', () => {
+        const sparse = new Collection({ indexes: [1, 3, 5, 7] });
+        expect(sparse.format('{holes}', { stepSeparator: 'x' })).toBe('2-6x2');
+    });
+
+    test('steps negative indexes', () => {
+        const negative = new Collection({ indexes: [-10, -8, -6, -4] });
+        expect(negative.format('{ranges}', { stepSeparator: 'x' })).toBe('-10--4x2');
+    });
+
+    test('throws on unsupported step separator', () => {
+        expect(() => collection.format('{ranges}', { stepSeparator: 'by' })).toThrow('Invalid step separator');
+    });
+
+    test('parses Nuke and Houdini steps', () => {
+        expect(Collection.parse('render.%04d.exr [1001-1199x2]').indexes).toEqual(collection.indexes);
+        expect(Collection.parse('render.%04d.exr [1001-1199:2]').indexes).toEqual(collection.indexes);
+        expect(Collection.parse('f.%d [1-10x3, 20]').indexes).toEqual([1, 4, 7, 10, 20]);
+    });
+
+    test('parses reversed stepped ranges', () => {
+        expect(Collection.parse('f.%d [1009-1001x2]').indexes).toEqual([1001, 1003, 1005, 1007, 1009]);
+        expect(Collection.parse('f.%d [1009-1001:2]').indexes).toEqual([1001, 1003, 1005, 1007, 1009]);
+        expect(Collection.parse('f.%d [-4--10x3]').indexes).toEqual([-10, -7, -4]);
+    });
+
+    test('parses steps in range and holes', () => {
+        const result = Collection.parse('f.%d [1-9x4] [1-9:8]', { pattern: '{head}{padding}{tail} [{range}] [{holes}]' });
+        expect(result.indexes).toEqual([5]);
+    });
+
+    test('round-trips stepped output', () => {
+        const formatted = collection.format(undefined, { stepSeparator: ':' });
+        expect(formatted).toBe('render.%04d.exr [1001-1199:2]');
+        expect(Collection.parse(formatted).indexes).toEqual(collection.indexes);
+    });
+
+    test('throws on invalid steps', () => {
+        expect(() => Collection.parse('f.%d [1-10x0]')).toThrow('Invalid step in range');
+        expect(() => Collection.parse('f.%d [1-10x]')).toThrow('Invalid step in range');
+        expect(() => Collection.parse('f.%d [5x2]')).toThrow('Invalid range format');
+    });
+});
+
+
+describe('Collection padding styles', () => {
+    let collection;
+
+    beforeEach(() => {
+        collection = new Collection({
+            head: 'shot.',
+            tail: '.exr',
+            padding: 4,
+            indexes: [1, 2, 3]
+        });
+    });
+
+    test('formats printf padding by default', () => {
+        expect(collection.format('{head}{padding}{tail}')).toBe('shot.%04d.exr');
+    });
+
+    test('formats each built-in padding style', () => {
+        const pattern = '{head}{padding}{tail}';
+        expect(collection.format(pattern, { paddingStyle: 'hash' })).toBe('shot.####.exr');
+        expect(collection.format(pattern, { paddingStyle: 'at' })).toBe('shot.@@@@.exr');
+        expect(collection.format(pattern, { paddingStyle: 'houdini' })).toBe('shot.$F4.exr');
+        expect(collection.format(pattern, { paddingStyle: 'maya' })).toBe('shot.<f>.exr');
+    });
+
+    test('formats unpadded collections', () => {
+        const unpadded = new Collection({ head: 'v', padding: 0, indexes: [1] });
+        expect(unpadded.format('{padding}', { paddingStyle: 'hash' })).toBe('#');
+        expect(unpadded.format('{padding}', { paddingStyle: 'houdini' })).toBe('$F');
+    });
+
+    test('accepts a custom padding style function', () => {
+        expect(collection.format('{padding}', { paddingStyle: padding => `<${padding}>` })).toBe('<4>');
+    });
+
+    test('throws on unknown padding style', () => {
+        expect(() => collection.format('{padding}', { paddingStyle: 'blender' })).toThrow('Invalid padding style: blender');
+    });
+
+    test('parses padding tokens', () => {
+        expect(Collection.parsePadding('%04d')).toBe(4);
+        expect(Collection.parsePadding('%d')).toBe(0);
+        expect(Collection.parsePadding('####')).toBe(4);
+        expect(Collection.parsePadding('#')).toBe(0);
+        expect(Collection.parsePadding('@@@')).toBe(3);
+        expect(Collection.parsePadding('$F4')).toBe(4);
+        expect(Collection.parsePadding('${F2}')).toBe(2);
+        expect(Collection.parsePadding('$F')).toBe(0);
+        expect(Collection.parsePadding('<f>')).toBe(0);
+        expect(() => Collection.parsePadding('%4s')).toThrow('Invalid padding token: %4s');
+        expect(() => Collection.parsePadding('$F4}')).toThrow('Invalid padding token: $F4}');
+        expect(() => Collection.parsePadding('${F4')).toThrow('Invalid padding token: ${F4');
+        expect(() => Collection.notations.houdini('img.${F4.exr 1-3')).toThrow('Expected a string like "img.$F4.exr"');
+    });
+
+    test('parses each token family in Collection.parse', () => {
+        for (const token of ['%04d', '####', '@@@@', '$F4']) {
+            const result = Collection.parse(`shot.${token}.exr [1-3]`);
+            expect(result.head).toBe('shot.');
+            expect(result.tail).toBe('.exr');
+            expect(result.padding).toBe(4);
+            expect(result.indexes).toEqual([1, 2, 3]);
+        }
+        expect(Collection.parse('shot.<f>.exr [1-3]').padding).toBe(0);
+    });
+
+    test('converts between notations', () => {
+        const pattern = '{head}{padding}{tail}';
+        const nuke = Collection.parse('comp.####.exr', { pattern });
+        expect(nuke.format(pattern, { paddingStyle: 'houdini' })).toBe('comp.$F4.exr');
+
+        const houdini = Collection.parse('comp.$F4.exr', { pattern });
+        expect(houdini.format(pattern, { paddingStyle: 'at' })).toBe('comp.@@@@.exr');
+    });
+});
+
+
+describe('UdimCollection', () => {
+    let textures;
+
+    beforeEach(() => {
+        textures = new UdimCollection({
+            head: 'diffuse.',
+            tail: '.tx',
+            indexes: [1001, 1002, 1003, 1011, 1013]
+        });
+    });
+
+    test('maps indexes to tiles and back', () => {
+        expect(UdimCollection.toTile(1001)).toEqual({ u: 0, v: 0 });
+        expect(UdimCollection.toTile(1010)).toEqual({ u: 9, v: 0 });
+        expect(UdimCollection.toTile(1034)).toEqual({ u: 3, v: 3 });
+        expect(UdimCollection.fromTile(3, 3)).toBe(1034);
+        expect(UdimCollection.fromTile(9, 0)).toBe(1010);
+    });
+
+    test('rejects indexes and tiles outside the grid', () => {
+        expect(() => UdimCollection.toTile(1000)).toThrow('Invalid UDIM: 1000');
+        expect(() => UdimCollection.fromTile(10, 0)).toThrow('Invalid tile column: 10');
+        expect(() => UdimCollection.fromTile(0, -1)).toThrow('Invalid tile row: -1');
+        expect(() => new UdimCollection({ indexes: [1, 1001] })).toThrow('Invalid UDIM: 1');
+        expect(() => new UdimCollection({ scheme: 'ptex' })).toThrow('Invalid UDIM scheme: ptex');
+    });
+
+    test('lists tiles', () => {
+        expect(textures.tiles.slice(-2)).toEqual([
+            { index: 1011, u: 0, v: 1 },
+            { index: 1013, u: 2, v: 1 }
+        ]);
+    });
+
+    test('names members in each scheme', () => {
+        expect(textures.members[3]).toBe('diffuse.1011.tx');
+
+        const uvtile = new UdimCollection({ head: 'diffuse_', tail: '.tx', indexes: [1001, 1012], scheme: 'uvtile' });
+        expect(uvtile.members).toEqual(['diffuse_u1_v1.tx', 'diffuse_u2_v2.tx']);
+
+        const mudbox = new UdimCollection({ head: 'diffuse_', tail: '.tx', indexes: [1001, 1012], scheme: 'mudbox' });
+        expect(mudbox.members).toEqual(['diffuse_u0_v0.tx', 'diffuse_u1_v1.tx']);
+    });
+
+    test('reports holes inside the tile bounding box', () => {
+        expect(textures.holes.indexes).toEqual([1012]);
+        expect(textures.holes).toBeInstanceOf(UdimCollection);
+        expect(textures.isContiguous).toBe(false);
+
+        const row = new UdimCollection({ indexes: [1001, 1002, 1003] });
+        expect(row.holes).toBeNull();
+        expect(row.isContiguous).toBe(true);
+
+        // 1009 and 1010 lie between 1008 and 1011 numerically but outside the bounding box
+        const column = new UdimCollection({ indexes: [1001, 1011] });
+        expect(column.holes).toBeNull();
+    });
+
+    test('matches, adds and removes members in each scheme', () => {
+        expect(textures.match('diffuse.1012.tx').groups).toMatchObject({ index: '1012', u: 1, v: 1 });
+        expect(textures.match('diffuse.0012.tx')).toBeNull();
+
+        const uvtile = new UdimCollection({ head: 'diffuse_', tail: '.tx', scheme: 'uvtile' });
+        uvtile.add(['diffuse_u1_v1.tx', 'diffuse_u10_v1.tx', 1011]);
+        uvtile.remove('diffuse_u1_v2.tx');
+        expect(uvtile.indexes).toEqual([1001, 1010]);
+        expect(uvtile.match('diffuse_u0_v1.tx')).toBeNull();
+
+        const mudbox = new UdimCollection({ head: 'diffuse_', tail: '.tx', scheme: 'mudbox' });
+        mudbox.add('diffuse_u0_v2.tx');
+        expect(mudbox.indexes).toEqual([1021]);
+    });
+
+    test('rejects adding invalid UDIM numbers', () => {
+        expect(() => textures.add([1020, 5])).toThrow('Invalid UDIM: 5');
+        expect(textures.indexes).toEqual([1001, 1002, 1003, 1011, 1013]);
+    });
+
+    test('formats with tile tokens', () => {
+        expect(textures.format()).toBe('diffuse.<UDIM>.tx [1001-1003, 1011, 1013]');
+        expect(textures.format('{holes}')).toBe('1012');
+
+        const uvtile = new UdimCollection({ head: 'diffuse_', tail: '.tx', indexes: [1001], scheme: 'uvtile' });
+        expect(uvtile.format('{head}{padding}{tail}')).toBe('diffuse_<UVTILE>.tx');
+
+        const mudbox = new UdimCollection({ head: 'diffuse_', tail: '.tx', indexes: [1001], scheme: 'mudbox' });
+        expect(mudbox.format('{head}{padding}{tail}')).toBe('diffuse_u<U>_v<V>.tx');
+    });
+
+    test('parses tile tokens', () => {
+        const udim = UdimCollection.parse('diffuse.<UDIM>.tx [1001-1003, 1011, 1013]');
+        expect(udim).toBeInstanceOf(UdimCollection);
+        expect(udim.scheme).toBe('udim');
+        expect(udim.indexes).toEqual(textures.indexes);
+
+        const uvtile = UdimCollection.parse('diffuse_<UVTILE>.tx [1001-1002]');
+        expect(uvtile.scheme).toBe('uvtile');
+        expect(uvtile.members).toEqual(['diffuse_u1_v1.tx', 'diffuse_u2_v1.tx']);
+
+        const mudbox = UdimCollection.parse('diffuse_u<U>_v<V>.tx', { pattern: '{head}{padding}{tail}' });
+        expect(mudbox.scheme).toBe('mudbox');
+        expect(mudbox.head).toBe('diffuse_');
+
+        expect(() => UdimCollection.parse('diffuse.%04d.tx [1001]')).toThrow('does not contain a UDIM tile token');
+    });
+
+    test('converts assembled collections', () => {
+        const files = Array.from({ length: 34 }, (_, i) => `diffuse.${1001 + i}.tx`);
+        const [collections] = Collection.assemble(files);
+        const udim = UdimCollection.fromCollection(collections[0]);
+
+        expect(udim.tiles[33]).toEqual({ index: 1034, u: 3, v: 3 });
+        expect(udim.holes.indexes).toEqual([1035, 1036, 1037, 1038, 1039, 1040]);
+    });
+
+    test('renumbers members with their scheme names', () => {
+        const uvtile = new UdimCollection({ head: 'd_', tail: '.tx', indexes: [1001, 1002], scheme: 'uvtile' });
+
+        const { collection, mapping } = uvtile.offset(1);
+        expect(collection).toBeInstanceOf(UdimCollection);
+        expect(collection.members).toEqual(['d_u2_v1.tx', 'd_u3_v1.tx']);
+        expect([...mapping]).toEqual([['d_u1_v1.tx', 'd_u2_v1.tx'], ['d_u2_v1.tx', 'd_u3_v1.tx']]);
+
+        expect([...uvtile.reverse().mapping]).toEqual([['d_u1_v1.tx', 'd_u2_v1.tx'], ['d_u2_v1.tx', 'd_u1_v1.tx']]);
+        const repadded = uvtile.repad(0);
+        expect(repadded.collection).toBeInstanceOf(UdimCollection);
+        expect(repadded.collection.scheme).toBe('uvtile');
+        expect([...repadded.mapping]).toEqual([['d_u1_v1.tx', 'd_u1_v1.tx'], ['d_u2_v1.tx', 'd_u2_v1.tx']]);
+        expect(() => uvtile.repad(5)).toThrow('Invalid padding: 5. UDIM tiles are not padded.');
+        expect(() => uvtile.offset(-1)).toThrow('Invalid UDIM: 1000');
+    });
+
+    test('keeps the scheme in derived collections', () => {
+        const uvtile = new UdimCollection({ head: 'd_', tail: '.tx', indexes: [1001, 1002, 1011], scheme: 'uvtile', caseSensitive: false });
+        const other = new UdimCollection({ head: 'd_', tail: '.tx', indexes: [1003], scheme: 'uvtile' });
+
+        const parts = uvtile.separate();
+        expect(parts.every(part => part instanceof UdimCollection && part.scheme === 'uvtile')).toBe(true);
+        expect(parts.map(part => part.members)).toEqual([['d_u1_v1.tx', 'd_u2_v1.tx'], ['d_u1_v2.tx']]);
+        expect(parts[0].caseSensitive).toBe(false);
+
+        expect(uvtile.union(other).members).toEqual(['d_u1_v1.tx', 'd_u2_v1.tx', 'd_u3_v1.tx', 'd_u1_v2.tx']);
+        expect(uvtile.difference(other).scheme).toBe('uvtile');
+        expect(uvtile.chunk({ size: 2 })[1].members).toEqual(['d_u1_v2.tx']);
+        expect(uvtile.sample({ count: 1 }).members).toEqual(['d_u1_v1.tx']);
+        expect(uvtile.holes.members).toEqual(['d_u2_v2.tx']);
+        expect(uvtile.holes.caseSensitive).toBe(false);
+    });
+});
+
+
+describe('Collection.scan', () => {
+    let root;
+
+    const touch = (...parts) => {
+        const file = path.join(root, ...parts);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, '');
+    };
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'seqo-scan-'));
+        ['shot.001.exr', 'shot.002.exr', 'shot.003.exr', 'notes.txt'].forEach(name => touch(name));
+        ['plate_0001.dpx', 'plate_0002.dpx', 'readme.md'].forEach(name => touch('plates', name));
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('assembles a single directory with full paths', async () => {
+        const [collections, remainder] = await Collection.scan(root);
+
+        expect(collections).toHaveLength(1);
+        expect(collections[0].head).toBe(path.join(root, 'shot.'));
+        expect(collections[0].members[0]).toBe(path.join(root, 'shot.001.exr'));
+        expect(remainder).toEqual([path.join(root, 'notes.txt')]);
+    });
+
+    test('scans subdirectories when recursive', async () => {
+        const [collections, remainder] = await Collection.scan(root, { recursive: true });
+
+        expect(collections.map(c => c.format())).toEqual([
+            `${path.join(root, 'shot.')}%03d.exr [1-3]`,
+            `${path.join(root, 'plates', 'plate_')}%04d.dpx [1-2]`
+        ]);
+        expect(remainder).toContain(path.join(root, 'plates', 'readme.md'));
+    });
+
+    test('does not assemble across directories', async () => {
+        touch('plates', 'shot.004.exr');
+        const [collections] = await Collection.scan(root, { recursive: true, minItems: 1 });
+        const shots = collections.filter(c => c.tail === '.exr');
+
+        expect(shots.map(c => c.indexes)).toEqual([[1, 2, 3], [4]]);
+    });
+
+    test('passes assemble options through', async () => {
+        const [collections, remainder] = await Collection.scan(root, { minItems: 4 });
+        expect(collections).toHaveLength(0);
+        expect(remainder).toHaveLength(4);
+    });
+
+    test('skips symlink cycles', async () => {
+        fs.symlinkSync(root, path.join(root, 'plates', 'loop'));
+        const [collections] = await Collection.scan(root, { recursive: true, followSymlinks: true });
+        expect(collections).toHaveLength(2);
+    });
+
+    test('follows symlinked directories only when asked', async () => {
+        const other = fs.mkdtempSync(path.join(os.tmpdir(), 'seqo-scan-'));
+        fs.writeFileSync(path.join(other, 'v001.ma'), '');
+        fs.writeFileSync(path.join(other, 'v002.ma'), '');
+        fs.symlinkSync(other, path.join(root, 'linked'));
+
+        try {
+            const [unfollowed] = await Collection.scan(root, { recursive: true });
+            expect(unfollowed).toHaveLength(2);
+
+            const [followed] = await Collection.scan(root, { recursive: true, followSymlinks: true });
+            expect(followed).toHaveLength(3);
+            expect(followed.map(c => c.head)).toContain(path.join(root, 'linked', 'v'));
+        } finally {
+            fs.rmSync(other, { recursive: true, force: true });
+        }
+    });
+
+    test('leaves unfollowed symlinked directories out of the results', async () => {
+        fs.symlinkSync(path.join(root, 'plates'), path.join(root, 'linked'));
+        fs.symlinkSync(path.join(root, 'notes.txt'), path.join(root, 'notes-link.txt'));
+        fs.symlinkSync(path.join(root, 'missing'), path.join(root, 'broken'));
+
+        const [, remainder] = await Collection.scan(root);
+        expect(remainder).toEqual(['broken', 'notes-link.txt', 'notes.txt'].map(name => path.join(root, name)));
+    });
+
+    test('joins every path onto the directory the same way', async () => {
+        const cwd = process.cwd();
+        process.chdir(root);
+        try {
+            const [collections, remainder] = await Collection.scan('.', { recursive: true });
+            expect(collections.map(c => c.head)).toEqual(['shot.', path.join('plates', 'plate_')]);
+            expect(remainder).toEqual(['notes.txt', path.join('plates', 'readme.md')]);
+
+            const [nested] = await Collection.scan(`.${path.sep}plates${path.sep}`);
+            expect(nested[0].head).toBe(path.join('plates', 'plate_'));
+        } finally {
+            process.chdir(cwd);
+        }
+    });
+
+    test('reports and skips unreadable entries', async () => {
+        fs.symlinkSync(path.join(root, 'missing'), path.join(root, 'broken'));
+        const errors = [];
+        const [collections] = await Collection.scan(root, {
+            recursive: true,
+            followSymlinks: true,
+            onError: (error, entry) => errors.push([error.code, entry])
+        });
+
+        expect(collections).toHaveLength(2);
+        expect(errors).toEqual([['ENOENT', path.join(root, 'broken')]]);
+    });
+
+    test('throws when the directory cannot be read', async () => {
+        await expect(Collection.scan(path.join(root, 'missing'))).rejects.toThrow('ENOENT');
+    });
+});
+
+
+describe('Collection.assembleAsync', () => {
+    const items = [
+        'shot.001.exr', 'shot.002.exr', 'shot.003.exr',
+        'plate_0001.dpx', 'plate_0002.dpx',
+        'v1.ma', 'notes.txt'
+    ];
+
+    async function* generate(values) {
+        for (const value of values) {
+            yield value;
+        }
+    }
+
+    const summarize = ([collections, remainder]) => [collections.map(c => c.format()), remainder];
+
+    test('assembles an async iterable like assemble', async () => {
+        const result = await Collection.assembleAsync(generate(items));
+        expect(summarize(result)).toEqual(summarize(Collection.assemble(items)));
+    });
+
+    test('accepts the same options as assemble', async () => {
+        const options = { patterns: [Collection.patterns.frames], minItems: 3 };
+        const result = await Collection.assembleAsync(generate(items), options);
+        expect(summarize(result)).toEqual(summarize(Collection.assemble(items, options)));
+    });
+
+    test('handles empty patterns like assemble', async () => {
+        const result = await Collection.assembleAsync(generate(items), { patterns: [] });
+        expect(result).toEqual(Collection.assemble(items, { patterns: [] }));
+    });
+
+    test('reads lines from a text stream', async () => {
+        const stream = Readable.from(['shot.001.exr\nshot.0', '02.exr\r\n\nnotes.txt\n'], { objectMode: false });
+        const [collections, remainder] = await Collection.assembleAsync(stream);
+
+        expect(collections[0].indexes).toEqual([1, 2]);
+        expect(remainder).toEqual(['notes.txt']);
+    });
+
+    test('reads items from an object mode stream', async () => {
+        const [collections, remainder] = await Collection.assembleAsync(Readable.from(items));
+        expect(collections).toHaveLength(2);
+        expect(remainder).toEqual(['notes.txt', 'v1.ma']);
+    });
+
+    test('accepts sync iterables', async () => {
+        const result = await Collection.assembleAsync(new Set(items));
+        expect(summarize(result)).toEqual(summarize(Collection.assemble(items)));
+    });
+
+    test('decodes Buffers and rejects other items', async () => {
+        const buffers = Readable.from(items.map(item => Buffer.from(item)));
+        const result = await Collection.assembleAsync(buffers);
+        expect(summarize(result)).toEqual(summarize(Collection.assemble(items)));
+
+        await expect(Collection.assembleAsync(Readable.from([{ path: 'shot.001.exr' }])))
+            .rejects.toThrow('Items to assemble must be strings or Buffers, not object');
+        await expect(Collection.assembleAsync([1001], { patterns: [] }))
+            .rejects.toThrow('Items to assemble must be strings or Buffers, not number');
+    });
+});
+
+
+describe('Collection.renumber', () => {
+    let collection;
+
+    beforeEach(() => {
+        collection = new Collection({
+            head: 'shot.',
+            tail: '.exr',
+            padding: 4,
+            indexes: [1, 2, 3, 5]
+        });
+    });
+
+    test('maps old members to new members', () => {
+        const { collection: renumbered, mapping } = collection.renumber(index => index + 10);
+
+        expect(renumbered.indexes).toEqual([11, 12, 13, 15]);
+        expect(renumbered.padding).toBe(4);
+        expect([...mapping]).toEqual([
+            ['shot.0001.exr', 'shot.0011.exr'],
+            ['shot.0002.exr', 'shot.0012.exr'],
+            ['shot.0003.exr', 'shot.0013.exr'],
+            ['shot.0005.exr', 'shot.0015.exr']
+        ]);
+        expect(collection.indexes).toEqual([1, 2, 3, 5]);
+    });
+
+    test('offsets', () => {
+        expect(collection.offset(1000).collection.indexes).toEqual([1001, 1002, 1003, 1005]);
+        expect(collection.offset(-3).collection.members[0]).toBe('shot.-002.exr');
+    });
+
+    test('scales', () => {
+        expect(collection.scale(2).collection.indexes).toEqual([2, 4, 6, 10]);
+        expect(() => collection.scale(0.5)).toThrow('Invalid index: 0.5 for index 1');
+        expect(() => collection.scale(0)).toThrow('Indexes 1 and 2 both renumber to 0');
+    });
+
+    test('reverses', () => {
+        const { collection: reversed, mapping } = collection.reverse();
+        expect(reversed.indexes).toEqual([1, 3, 4, 5]);
+        expect(mapping.get('shot.0001.exr')).toBe('shot.0005.exr');
+        expect(mapping.get('shot.0005.exr')).toBe('shot.0001.exr');
+    });
+
+    test('compacts', () => {
+        expect(collection.compact().collection.indexes).toEqual([1, 2, 3, 4]);
+        expect(collection.compact({ start: 1001 }).collection.indexes).toEqual([1001, 1002, 1003, 1004]);
+    });
+
+    test('handles empty collections', () => {
+        const empty = new Collection();
+        expect(empty.reverse().mapping.size).toBe(0);
+        expect(empty.compact().collection.indexes).toEqual([]);
+    });
+});
+
+
+describe('Collection.applyRenames', () => {
+    let root;
+    let collection;
+
+    const list = () => fs.readdirSync(root).sort();
+    const contents = name => fs.readFileSync(path.join(root, name), 'utf8');
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'seqo-rename-'));
+        collection = new Collection({ head: 'shot.', tail: '.exr', padding: 4, indexes: [1, 2, 3] });
+        collection.members.forEach(member => fs.writeFileSync(path.join(root, member), member));
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('renames without overlap', async () => {
+        const operations = await Collection.applyRenames(collection.offset(1000).mapping, { directory: root });
+
+        expect(operations).toHaveLength(3);
+        expect(list()).toEqual(['shot.1001.exr', 'shot.1002.exr', 'shot.1003.exr']);
+        expect(contents('shot.1001.exr')).toBe('shot.0001.exr');
+    });
+
+    test('orders overlapping renames safely', async () => {
+        const operations = await Collection.applyRenames(collection.offset(1).mapping, { directory: root });
+
+        expect(operations.map(([from]) => path.basename(from))).toEqual(['shot.0003.exr', 'shot.0002.exr', 'shot.0001.exr']);
+        expect(list()).toEqual(['shot.0002.exr', 'shot.0003.exr', 'shot.0004.exr']);
+        expect(contents('shot.0004.exr')).toBe('shot.0003.exr');
+    });
+
+    test('uses temporary names for cycles', async () => {
+        const operations = await Collection.applyRenames(collection.reverse().mapping, { directory: root });
+
+        expect(operations).toHaveLength(3);
+        expect(list()).toEqual(['shot.0001.exr', 'shot.0002.exr', 'shot.0003.exr']);
+        expect(contents('shot.0001.exr')).toBe('shot.0003.exr');
+        expect(contents('shot.0003.exr')).toBe('shot.0001.exr');
+        expect(contents('shot.0002.exr')).toBe('shot.0002.exr');
+    });
+
+    test('plans without renaming in a dry run', async () => {
+        const operations = await Collection.applyRenames(collection.offset(1).mapping, { directory: root, dryRun: true });
+
+        expect(operations[0]).toEqual([path.join(root, 'shot.0003.exr'), path.join(root, 'shot.0004.exr')]);
+        expect(list()).toEqual(['shot.0001.exr', 'shot.0002.exr', 'shot.0003.exr']);
+    });
+
+    test('refuses to overwrite files outside the mapping', async () => {
+        fs.writeFileSync(path.join(root, 'shot.0004.exr'), '');
+        const mapping = new Map([['shot.0003.exr', 'shot.0004.exr']]);
+
+        await expect(Collection.applyRenames(mapping, { directory: root })).rejects.toThrow('Rename target already exists');
+    });
+
+    test('refuses duplicate targets', async () => {
+        const mapping = [['shot.0001.exr', 'shot.0009.exr'], ['shot.0002.exr', 'shot.0009.exr']];
+        await expect(Collection.applyRenames(mapping, { directory: root })).rejects.toThrow('More than one file would be renamed to shot.0009.exr');
+    });
+
+    test('rolls back on failure', async () => {
+        const mapping = new Map([
+            ['shot.0001.exr', 'shot.1001.exr'],
+            ['shot.0002.exr', 'shot.1002.exr'],
+            ['missing.exr', 'shot.1004.exr']
+        ]);
+
+        await expect(Collection.applyRenames(mapping, { directory: root })).rejects.toThrow('ENOENT');
+        expect(list()).toEqual(['shot.0001.exr', 'shot.0002.exr', 'shot.0003.exr']);
+    });
+
+    test('keeps rolling back past renames that cannot be undone', async () => {
+        const mapping = new Map([
+            ['shot.0001.exr', 'shot.1001.exr'],
+            ['shot.0002.exr', 'shot.1002.exr'],
+            ['missing.exr', 'shot.1004.exr']
+        ]);
+        const rename = fs.promises.rename;
+        const spy = jest.spyOn(fs.promises, 'rename').mockImplementation((from, to) => {
+            if (path.basename(from) === 'shot.1002.exr') {
+                return Promise.reject(new Error('EACCES: permission denied'));
+            }
+            return rename(from, to);
+        });
+
+        try {
+            const error = await Collection.applyRenames(mapping, { directory: root }).catch(caught => caught);
+            expect(error.code).toBe('ENOENT');
+            expect(error.rollbackErrors.map(rollbackError => rollbackError.message)).toEqual(['EACCES: permission denied']);
+            expect(list()).toEqual(['shot.0001.exr', 'shot.0003.exr', 'shot.1002.exr']);
+        } finally {
+            spy.mockRestore();
+        }
+    });
+});
+
+
+describe('Collection set operations', () => {
+    let delivered;
+    let requested;
+
+    beforeEach(() => {
+        delivered = new Collection({ head: 'plate.', tail: '.exr', padding: 4, indexes: [1, 2, 3, 5, 8] });
+        requested = new Collection({ head: 'plate.', tail: '.exr', padding: 4, indexes: [...range(1, 7)] });
+    });
+
+    test('union', () => {
+        expect(delivered.union(requested).indexes).toEqual([1, 2, 3, 4, 5, 6, 8]);
+    });
+
+    test('intersection', () => {
+        expect(delivered.intersection(requested).indexes).toEqual([1, 2, 3, 5]);
+    });
+
+    test('difference', () => {
+        expect(requested.difference(delivered).indexes).toEqual([4, 6]);
+        expect(delivered.difference(requested).indexes).toEqual([8]);
+    });
+
+    test('symmetricDifference', () => {
+        expect(delivered.symmetricDifference(requested).indexes).toEqual([4, 6, 8]);
+    });
+
+    test('subset and superset', () => {
+        const firstThree = new Collection({ head: 'plate.', tail: '.exr', padding: 4, indexes: [1, 2, 3] });
+        expect(firstThree.isSubsetOf(delivered)).toBe(true);
+        expect(delivered.isSupersetOf(firstThree)).toBe(true);
+        expect(delivered.isSubsetOf(requested)).toBe(false);
+        expect(requested.isSupersetOf(delivered)).toBe(false);
+        expect(new Collection({ head: 'plate.', tail: '.exr', padding: 4 }).isSubsetOf(delivered)).toBe(true);
+    });
+
+    test('returns new collections without changing the operands', () => {
+        const result = delivered.union(requested);
+        expect(result).not.toBe(delivered);
+        expect(result.head).toBe('plate.');
+        expect(result.padding).toBe(4);
+        expect(delivered.indexes).toEqual([1, 2, 3, 5, 8]);
+        expect(requested.indexes).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    test('throws on incompatible collections', () => {
+        const otherHead = new Collection({ head: 'comp.', tail: '.exr', padding: 4, indexes: [1] });
+        const otherTail = new Collection({ head: 'plate.', tail: '.dpx', padding: 4, indexes: [1] });
+        const otherPadding = new Collection({ head: 'plate.', tail: '.exr', padding: 3, indexes: [1] });
+
+        expect(() => delivered.union(otherHead)).toThrow('is not compatible with this collection');
+        expect(() => delivered.intersection(otherTail)).toThrow('is not compatible with this collection');
+        expect(() => delivered.difference(otherPadding)).toThrow('is not compatible with this collection');
+        expect(() => delivered.isSubsetOf([1, 2])).toThrow('is not compatible with this collection');
+    });
+
+    test('compares across padding by index when asked', () => {
+        const unpadded = new Collection({ head: 'plate.', tail: '.exr', padding: 0, indexes: [1, 2] });
+        const result = delivered.intersection(unpadded, { ignorePadding: true });
+
+        expect(result.indexes).toEqual([1, 2]);
+        expect(result.padding).toBe(4);
+        expect(unpadded.isSubsetOf(delivered, { ignorePadding: true })).toBe(true);
+        expect(() => delivered.union(new Collection({ head: 'comp.' }), { ignorePadding: true })).toThrow('is not compatible');
+    });
+});
+
+
+describe('Collection interval storage', () => {
+    test('parses huge ranges without expanding them', () => {
+        const start = Date.now();
+        const collection = Collection.parse('img.%08d.png [1-50000000]');
+
+        expect(collection.format()).toBe('img.%08d.png [1-50000000]');
+        expect(collection.isContiguous).toBe(true);
+        expect(collection.holes).toBeNull();
+        expect(collection.separate()).toHaveLength(1);
+        expect(Date.now() - start).toBeLessThan(1000);
+    });
+
+    test('finds holes and runs in huge ranges', () => {
+        const collection = Collection.parse('img.%08d.png [1-50000000] [20000000-30000000, 40000000]', {
+            pattern: '{head}{padding}{tail} [{ranges}] [{holes}]'
+        });
+
+        expect(collection.isContiguous).toBe(false);
+        expect(collection.format('{ranges}')).toBe('1-19999999, 30000001-39999999, 40000001-50000000');
+        expect(collection.holes.format('{ranges}')).toBe('20000000-30000000, 40000000');
+        expect(collection.separate().map(c => c.format('{range}'))).toEqual([
+            '1-19999999', '30000001-39999999', '40000001-50000000'
+        ]);
+    });
+
+    test('splits and merges runs when adding and removing', () => {
+        const collection = new Collection({ indexes: [...range(1, 11)] });
+
+        collection.remove([5, 6]);
+        expect(collection.format('{ranges}')).toBe('1-4, 7-10');
+
+        collection.add([6, 12]);
+        expect(collection.format('{ranges}')).toBe('1-4, 6-10, 12');
+
+        collection.add(5).add(11);
+        expect(collection.format('{ranges}')).toBe('1-12');
+        expect(collection.indexes).toHaveLength(12);
+    });
+
+    test('merges and removes compatible collections by runs', () => {
+        const collection = Collection.parse('f.%d [1-1000000]');
+        collection.remove(Collection.parse('f.%d [10-999990]'));
+        expect(collection.format('{ranges}')).toBe('1-9, 999991-1000000');
+
+        collection.add(Collection.parse('f.%d [5-999995]'));
+        expect(collection.format('{ranges}')).toBe('1-1000000');
+    });
+
+    test('keeps set operations proportional to runs', () => {
+        const a = Collection.parse('f.%d [1-30000000]');
+        const b = Collection.parse('f.%d [20000001-50000000]');
+
+        expect(a.intersection(b).format('{ranges}')).toBe('20000001-30000000');
+        expect(a.symmetricDifference(b).format('{ranges}')).toBe('1-20000000, 30000001-50000000');
+        expect(a.difference(b).isSubsetOf(a)).toBe(true);
+    });
+
+    test('keeps unsorted and duplicate constructor input', () => {
+        const collection = new Collection({ indexes: [9, 3, 4, 3, 1, 2] });
+        expect(collection.indexes).toEqual([1, 2, 3, 4, 9]);
+        expect(collection.format('{ranges}')).toBe('1-4, 9');
+    });
+});
+
+
+describe('Collection iteration', () => {
+    let collection;
+
+    beforeEach(() => {
+        collection = new Collection({
+            head: 'shot.',
+            tail: '.exr',
+            padding: 4,
+            indexes: [1, 2, 3, 10, 11, 20]
+        });
+    });
+
+    test('iterates members', () => {
+        expect([...collection]).toEqual(collection.members);
+        expect(Array.from(collection)).toHaveLength(6);
+    });
+
+    test('iterates keys, values and entries', () => {
+        expect([...collection.keys()]).toEqual([1, 2, 3, 10, 11, 20]);
+        expect([...collection.values()]).toEqual(collection.members);
+        expect([...collection.entries()].slice(0, 2)).toEqual([[1, 'shot.0001.exr'], [2, 'shot.0002.exr']]);
+    });
+
+    test('iterates in reverse', () => {
+        expect([...collection.keys({ reverse: true })]).toEqual([20, 11, 10, 3, 2, 1]);
+        expect(collection.values({ reverse: true }).next().value).toBe('shot.0020.exr');
+        expect([...collection.entries({ reverse: true })][5]).toEqual([1, 'shot.0001.exr']);
+    });
+
+    test('iterates from a position', () => {
+        expect([...collection.keys({ start: 3 })]).toEqual([10, 11, 20]);
+        expect([...collection.keys({ start: 1, reverse: true })]).toEqual([11, 10, 3, 2, 1]);
+        expect([...collection.keys({ start: -2 })]).toEqual([11, 20]);
+        expect([...collection.keys({ start: 6 })]).toEqual([]);
+        expect([...collection.keys({ start: -10 })]).toHaveLength(6);
+    });
+
+    test('gets members and indexes by position', () => {
+        expect(collection.at(0)).toBe('shot.0001.exr');
+        expect(collection.at(3)).toBe('shot.0010.exr');
+        expect(collection.at(-1)).toBe('shot.0020.exr');
+        expect(collection.at(6)).toBeUndefined();
+        expect(collection.at(-7)).toBeUndefined();
+        expect(collection.indexAt(4)).toBe(11);
+        expect(new Collection().at(0)).toBeUndefined();
+    });
+
+    test('pages through huge collections lazily', () => {
+        const huge = Collection.parse('img.%08d.png [1-50000000] [25000000]', {
+            pattern: '{head}{padding}{tail} [{ranges}] [{holes}]'
+        });
+
+        const page = [];
+        for (const entry of huge.entries({ start: 24999998 })) {
+            if (page.push(entry) === 3) break;
+        }
+        expect(page).toEqual([
+            [24999999, 'img.24999999.png'],
+            [25000001, 'img.25000001.png'],
+            [25000002, 'img.25000002.png']
+        ]);
+        expect(huge.at(-1)).toBe('img.50000000.png');
+    });
+
+    test('iterates UDIM members in their scheme', () => {
+        const tiles = new UdimCollection({ head: 'diffuse_', tail: '.tx', indexes: [1001, 1012], scheme: 'uvtile' });
+        expect([...tiles]).toEqual(['diffuse_u1_v1.tx', 'diffuse_u2_v2.tx']);
+        expect(tiles.at(-1)).toBe('diffuse_u2_v2.tx');
+        expect([...tiles.entries()][0]).toEqual([1001, 'diffuse_u1_v1.tx']);
+    });
+});
+
+
+describe('JSON serialization', () => {
+    test('stores indexes as ranges', () => {
+        const collection = Collection.parse('shot.%04d.exr [1001-1100, 1200]');
+        expect(collection.toJSON()).toEqual({
+            version: 1,
+            head: 'shot.',
+            tail: '.exr',
+            padding: 4,
+            ranges: [[1001, 1100], 1200]
+        });
+    });
+
+    test('round-trips through JSON.stringify', () => {
+        const collection = Collection.parse('img.%08d.png [-5--1, 1-50000000] [25000000]', {
+            pattern: '{head}{padding}{tail} [{ranges}] [{holes}]'
+        });
+        const json = JSON.stringify(collection);
+        expect(json.length).toBeLessThan(120);
+
+        const restored = Collection.fromJSON(json);
+        expect(restored).toBeInstanceOf(Collection);
+        expect(restored.format()).toBe(collection.format());
+        expect(Collection.fromJSON(JSON.parse(json)).format()).toBe(collection.format());
+    });
+
+    test('round-trips empty collections', () => {
+        const restored = Collection.fromJSON(JSON.stringify(new Collection({ head: 'a.', tail: '.b' })));
+        expect(restored.indexes).toEqual([]);
+        expect(restored.head).toBe('a.');
+    });
+
+    test('merges overlapping ranges and ignores unknown fields', () => {
+        const restored = Collection.fromJSON({
+            version: 1, head: '', tail: '', padding: 0, ranges: [[1, 3], 2, [4, 5]], comment: 'extra'
+        });
+        expect(restored.indexes).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('reports the offending field', () => {
+        const valid = { version: 1, head: 'a', tail: 'b', padding: 0, ranges: [] };
+        const read = changes => () => Collection.fromJSON({ ...valid, ...changes });
+
+        expect(() => Collection.fromJSON(null)).toThrow('Invalid collection JSON: expected an object');
+        expect(() => Collection.fromJSON([])).toThrow('expected an object');
+        expect(read({ version: 2 })).toThrow('Unsupported collection JSON version: 2');
+        expect(read({ head: 1 })).toThrow('"head" must be a string');
+        expect(read({ tail: null })).toThrow('"tail" must be a string');
+        expect(read({ padding: -1 })).toThrow('"padding" must be a non-negative integer');
+        expect(read({ ranges: '1-3' })).toThrow('"ranges" must be an array');
+        expect(read({ ranges: [1, 1.5] })).toThrow('"ranges[1]" must be an integer or a [start, end] pair');
+        expect(read({ ranges: [[3, 1]] })).toThrow('"ranges[0]"');
+        expect(read({ ranges: [[1, 2, 3]] })).toThrow('"ranges[0]"');
+        expect(() => Collection.fromJSON('{')).toThrow(SyntaxError);
+    });
+
+    test('round-trips UDIM collections with their scheme', () => {
+        const tiles = new UdimCollection({ head: 'diffuse_', tail: '.tx', indexes: [1001, 1002, 1011], scheme: 'mudbox' });
+        expect(tiles.toJSON().scheme).toBe('mudbox');
+
+        const restored = UdimCollection.fromJSON(JSON.stringify(tiles));
+        expect(restored).toBeInstanceOf(UdimCollection);
+        expect(restored.members).toEqual(tiles.members);
+
+        expect(UdimCollection.fromJSON({ ...tiles.toJSON(), scheme: undefined }).scheme).toBe('udim');
+        expect(() => UdimCollection.fromJSON({ ...tiles.toJSON(), scheme: 'ptex' }))
+            .toThrow('"scheme" must be one of udim, uvtile, mudbox');
+    });
+});
+
+
+describe('MultiCollection', () => {
+    const files = [
+        'comp_v003.1001.exr', 'comp_v003.1002.exr',
+        'comp_v004.1001.exr', 'comp_v004.1002.exr', 'comp_v004.1003.exr'
+    ];
+
+    test('assembles items with several varying numbers', () => {
+        const [collections, remainder] = MultiCollection.assemble([...files, 'notes.txt'], {
+            names: ['version', 'frame']
+        });
+
+        expect(collections).toHaveLength(1);
+        expect(remainder).toEqual(['notes.txt']);
+        const [comps] = collections;
+        expect(comps.parts).toEqual(['comp_v', '.', '.exr']);
+        expect(comps.axes).toEqual([{ name: 'version', padding: 3 }, { name: 'frame', padding: 0 }]);
+        expect(comps.indexes).toEqual([[3, 1001], [3, 1002], [4, 1001], [4, 1002], [4, 1003]]);
+        expect(comps.members).toEqual(files);
+    });
+
+    test('keeps numbers that never change as literal text', () => {
+        const [[comps]] = MultiCollection.assemble(files.map(file => `sh010_${file}`));
+        expect(comps.parts).toEqual(['sh010_comp_v', '.', '.exr']);
+        expect(comps.axes).toEqual([{ padding: 3 }, { padding: 0 }]);
+    });
+
+    test('merges unpadded numbers that fit the padding', () => {
+        const [[versions]] = MultiCollection.assemble(['a_v009.1.exr', 'a_v010.1.exr', 'a_v100.1.exr', 'a_v100.2.exr']);
+        expect(versions.axes[0].padding).toBe(3);
+        expect(versions.valuesOf(0)).toEqual([9, 10, 100]);
+    });
+
+    test('groups by text and padding', () => {
+        const [collections, remainder] = MultiCollection.assemble(['a1.txt', 'b2.txt', 'C1.txt', 'c2.txt', 'd01.txt', 'd2.txt'], {
+            caseSensitive: false
+        });
+        expect(collections.map(collection => collection.format())).toEqual(['C%d.txt [1-2]']);
+        expect(remainder).toEqual(['a1.txt', 'b2.txt', 'd01.txt', 'd2.txt']);
+    });
+
+    test('respects minimum items', () => {
+        const [collections, remainder] = MultiCollection.assemble(files, { minItems: 6 });
+        expect(collections).toEqual([]);
+        expect(remainder).toEqual(files);
+    });
+
+    test('lists the values and latest value of an axis', () => {
+        const [[comps]] = MultiCollection.assemble(files, { names: ['version', 'frame'] });
+        expect(comps.valuesOf('version')).toEqual([3, 4]);
+        expect(comps.valuesOf(1)).toEqual([1001, 1002, 1003]);
+        expect(comps.latest('version')).toBe(4);
+        expect(new MultiCollection({ parts: ['a', 'b', 'c'] }).latest(0)).toBeUndefined();
+        expect(() => comps.latest('view')).toThrow('Unknown axis: view');
+        expect(() => comps.latest(2)).toThrow('Unknown axis: 2');
+    });
+
+    test('slices along one axis', () => {
+        const comps = new MultiCollection({
+            parts: ['comp_v', '.', '.exr'],
+            axes: [{ name: 'version', padding: 3 }, { name: 'frame', padding: 4 }],
+            indexes: [[3, 1001], [3, 1002], [4, 1001]]
+        });
+
+        const v003 = comps.slice('version', 3);
+        expect(v003).toBeInstanceOf(Collection);
+        expect(v003.format()).toBe('comp_v003.%04d.exr [1001-1002]');
+
+        const firstFrame = comps.slice('frame', 1001);
+        expect(firstFrame.members).toEqual(['comp_v003.1001.exr', 'comp_v004.1001.exr']);
+        expect(comps.slice('version', 5).indexes).toEqual([]);
+    });
+
+    test('slices three axes into two', () => {
+        const renders = new MultiCollection({
+            parts: ['v', '_view', '.', '.exr'],
+            axes: [{ name: 'version' }, { name: 'view' }, { name: 'frame' }].map(axis => ({ ...axis, padding: 0 })),
+            indexes: [[1, 1, 10], [1, 2, 10], [2, 1, 10]]
+        });
+
+        const v1 = renders.slice('version', 1);
+        expect(v1).toBeInstanceOf(MultiCollection);
+        expect(v1.parts).toEqual(['v1_view', '.', '.exr']);
+        expect(v1.members).toEqual(['v1_view1.10.exr', 'v1_view2.10.exr']);
+    });
+
+    test('formats ranges per axis', () => {
+        const comps = new MultiCollection({
+            parts: ['comp_v', '.', '.exr'],
+            axes: [{ name: 'version', padding: 3 }, { name: 'frame', padding: 4 }],
+            indexes: [[1, 1001], [3, 1001], [3, 1002], [3, 1005]]
+        });
+
+        expect(comps.format()).toBe('comp_v%03d.%04d.exr [1, 3; 1001-1002, 1005]');
+        expect(comps.format('{pattern}', { paddingStyle: 'hash' })).toBe('comp_v###.####.exr');
+        expect(comps.format('{head}|{tail}')).toBe('comp_v|.exr');
+        expect(comps.format('{ranges:frame} {range:frame} {holes:frame}')).toBe('1001-1002, 1005 1001-1005 1003-1004');
+        expect(comps.format('{holes:0} {padding:version} {unknown} {other:frame}')).toBe('2 %03d {unknown} {other:frame}');
+        expect(() => comps.format('{ranges:view}')).toThrow('Unknown axis: view');
+    });
+
+    test('adds index tuples', () => {
+        const collection = new MultiCollection({ parts: ['', 'x', ''] });
+        collection.add([2, 1]).add([[1, 2], [2, 1]]);
+        expect(collection.members).toEqual(['1x2', '2x1']);
+        expect(() => collection.add([1])).toThrow('Invalid index tuple: [1]. Expected 2 integers.');
+        expect(() => collection.add([[1, 'a']])).toThrow('Invalid index tuple');
+    });
+
+    test('validates parts and axes', () => {
+        expect(() => new MultiCollection({ parts: ['a'] })).toThrow('Parts must be an array of at least two strings');
+        expect(() => new MultiCollection({ parts: ['a', 'b', 'c'], axes: [{ padding: 0 }] })).toThrow('Expected 2 axes for 3 parts');
+        expect(() => new MultiCollection({ axes: [{ padding: -1 }] })).toThrow('Padding must be a non-negative integer');
+        expect(() => new MultiCollection({
+            parts: ['a', 'b', 'c'],
+            axes: [{ name: 'frame', padding: 0 }, { name: 'frame', padding: 0 }]
+        })).toThrow('Invalid axis name: frame');
+    });
+});
+
+
+describe('Matching policy', () => {
+    test('matches head and tail literally', () => {
+        const collection = new Collection({ head: 'shot (v1)+[a].', tail: '.exr', padding: 4 });
+        expect(collection.match('shot (v1)+[a].0001.exr')).not.toBeNull();
+        expect(collection.match('shot (v1)+[a]x0001.exr')).toBeNull();
+        expect(collection.match('shot (v1)+[a].0001xexr')).toBeNull();
+
+        collection.add('shot (v1)+[a].0002.exr');
+        expect(collection.indexes).toEqual([2]);
+    });
+
+    test('matches Windows paths', () => {
+        const collection = new Collection({ head: 'C:\\renders\\shot.', tail: '.exr', padding: 4 });
+        collection.add('C:\\renders\\shot.1001.exr');
+        expect(collection.indexes).toEqual([1001]);
+        expect(collection.match('C:/renders/shot.1001.exr')).toBeNull();
+    });
+
+    test('matches case-insensitively', () => {
+        const collection = new Collection({ head: 'shot_', tail: '.exr', padding: 3, caseSensitive: false });
+        collection.add('SHOT_001.EXR').add(['Shot_002.Exr']);
+        collection.remove('shot_001.exr');
+        expect(collection.indexes).toEqual([2]);
+        expect(collection.members).toEqual(['shot_002.exr']);
+
+        const sensitive = new Collection({ head: 'shot_', tail: '.exr', padding: 3 });
+        expect(sensitive.match('SHOT_001.EXR')).toBeNull();
+        expect(() => sensitive.add('SHOT_001.EXR')).toThrow('does not match collection expression');
+    });
+
+    test('checks compatibility under the policy', () => {
+        const upper = new Collection({ head: 'SHOT_', tail: '.EXR', padding: 3, indexes: [3], caseSensitive: false });
+        const insensitive = new Collection({ head: 'shot_', tail: '.exr', padding: 3, caseSensitive: false });
+        const sensitive = new Collection({ head: 'shot_', tail: '.exr', padding: 3 });
+
+        expect(insensitive.isCompatible(upper)).toBe(true);
+        expect(sensitive.isCompatible(upper)).toBe(false);
+        expect(insensitive.add(upper).indexes).toEqual([3]);
+        expect(insensitive.union(upper).caseSensitive).toBe(false);
+        expect(insensitive.remove(upper).indexes).toEqual([]);
+    });
+
+    test('checks compatibility under both policies', () => {
+        const sensitiveUpper = new Collection({ head: 'SHOT_', tail: '.EXR', padding: 3, indexes: [3] });
+        const insensitive = new Collection({ head: 'shot_', tail: '.exr', padding: 3, caseSensitive: false });
+        const sensitive = new Collection({ head: 'shot_', tail: '.exr', padding: 3, indexes: [4] });
+
+        expect(insensitive.isCompatible(sensitiveUpper)).toBe(false);
+        expect(sensitiveUpper.isCompatible(insensitive)).toBe(false);
+        expect(() => insensitive.union(sensitiveUpper)).toThrow('is not compatible with this collection');
+        expect(insensitive.isCompatible(sensitive)).toBe(true);
+        expect(sensitive.isCompatible(insensitive)).toBe(true);
+
+        const composed = new Collection({ head: 'caf\u00e9_', tail: '.exr', padding: 4, normalization: 'NFC' });
+        const decomposed = new Collection({ head: 'cafe\u0301_', tail: '.exr', padding: 4 });
+        expect(composed.isCompatible(decomposed)).toBe(false);
+        expect(decomposed.isCompatible(composed)).toBe(false);
+        expect(composed.isCompatible(new Collection({ head: 'cafe\u0301_', tail: '.exr', padding: 4, normalization: 'NFD' })))
+            .toBe(true);
+    });
+
+    test('normalizes Unicode before matching', () => {
+        const composed = 'caf\u00e9_';
+        const decomposed = 'cafe\u0301_';
+        const collection = new Collection({ head: composed, tail: '.exr', padding: 4, normalization: 'NFC' });
+
+        collection.add(`${decomposed}0001.exr`);
+        expect(collection.indexes).toEqual([1]);
+        expect(collection.isCompatible(new Collection({ head: decomposed, tail: '.exr', padding: 4, normalization: 'NFC' }))).toBe(true);
+        expect(new Collection({ head: composed, tail: '.exr', padding: 4 }).match(`${decomposed}0001.exr`)).toBeNull();
+    });
+
+    test('validates the policy', () => {
+        expect(() => new Collection({ normalization: 'NFKC' })).toThrow('Invalid normalization: NFKC');
+        expect(() => new Collection({ caseSensitive: 'no' })).toThrow('caseSensitive must be a boolean');
+    });
+
+    test('keeps the policy of assembled and derived collections', () => {
+        const [[plates]] = Collection.assemble(['PLATE_0001.DPX', 'plate_0002.dpx'], { caseSensitive: false });
+        expect(plates.caseSensitive).toBe(false);
+        plates.add('Plate_0003.Dpx');
+        expect(plates.indexes).toEqual([1, 2, 3]);
+        expect(plates.offset(10).collection.caseSensitive).toBe(false);
+        expect(plates.separate()[0].caseSensitive).toBe(false);
+
+        const names = ['cafe\u0301.1.exr', 'caf\u00e9.2.exr'];
+        expect(Collection.assemble(names)[0]).toHaveLength(0);
+        const [[normalized]] = Collection.assemble(names, { normalization: 'NFC' });
+        expect(normalized.normalization).toBe('NFC');
+        expect(normalized.indexes).toEqual([1, 2]);
+    });
+
+    test('parses and serializes the policy', () => {
+        const collection = Collection.parse('shot.%04d.exr [1-2]', { caseSensitive: false, normalization: 'NFD' });
+        expect(collection.match('SHOT.0001.EXR')).not.toBeNull();
+
+        const json = collection.toJSON();
+        expect(json).toMatchObject({ caseSensitive: false, normalization: 'NFD' });
+        expect(Collection.fromJSON(json).caseSensitive).toBe(false);
+        expect(Collection.fromJSON(json).normalization).toBe('NFD');
+        expect(Collection.parse('a%d [1]').toJSON()).not.toHaveProperty('caseSensitive');
+        expect(() => Collection.fromJSON({ ...json, normalization: 'NFKD' })).toThrow('"normalization" must be "NFC", "NFD" or null');
+        expect(() => Collection.fromJSON({ ...json, caseSensitive: 0 })).toThrow('"caseSensitive" must be a boolean');
+    });
+
+    test('applies the policy to UDIM collections', () => {
+        const tiles = UdimCollection.parse('Diffuse_<UVTILE>.tx [1001]', { caseSensitive: false });
+        expect(tiles.caseSensitive).toBe(false);
+        tiles.add('DIFFUSE_U2_V1.TX');
+        expect(tiles.indexes).toEqual([1001, 1002]);
+        expect(UdimCollection.fromJSON(JSON.stringify(tiles)).caseSensitive).toBe(false);
+    });
+});
+
+
+describe('Timecode', () => {
+    test('converts frames to timecode', () => {
+        expect(Timecode.fromFrame(0, 24)).toBe('00:00:00:00');
+        expect(Timecode.fromFrame(86400, 24)).toBe('01:00:00:00');
+        expect(Timecode.fromFrame(86500, 23.976)).toBe('01:00:04:04');
+        expect(Timecode.fromFrame(90000 + 99, 25)).toBe('01:00:03:24');
+        expect(Timecode.fromFrame(1, 100)).toBe('00:00:00:01');
+        expect(Timecode.fromFrame(150, 120)).toBe('00:00:01:030');
+    });
+
+    test('converts timecode to frames', () => {
+        expect(Timecode.toFrame('01:00:04:04', 24)).toBe(86500);
+        expect(Timecode.toFrame('01:00:04:04', '24000/1001')).toBe(86500);
+        expect(Timecode.toFrame(' 00:00:01:00 ', 25)).toBe(25);
+    });
+
+    test('converts drop-frame timecode', () => {
+        const dropFrame = { dropFrame: true };
+        expect(Timecode.fromFrame(1799, 29.97, dropFrame)).toBe('00:00:59;29');
+        expect(Timecode.fromFrame(1800, 29.97, dropFrame)).toBe('00:01:00;02');
+        expect(Timecode.fromFrame(17982, 29.97, dropFrame)).toBe('00:10:00;00');
+        expect(Timecode.fromFrame(107892, '30000/1001', dropFrame)).toBe('01:00:00;00');
+        expect(Timecode.fromFrame(3600, 59.94, dropFrame)).toBe('00:01:00;04');
+
+        expect(Timecode.toFrame('00:01:00;02', 29.97)).toBe(1800);
+        expect(Timecode.toFrame('01:00:00;00', 29.97)).toBe(107892);
+        expect(Timecode.toFrame('01:00:00:00', 29.97)).toBe(108000);
+        expect(Timecode.toFrame('01:00:00:00', 29.97, dropFrame)).toBe(107892);
+    });
+
+    test('round-trips drop-frame timecode', () => {
+        for (let frame = 0; frame < 40000; frame += 7) {
+            const timecode = Timecode.fromFrame(frame, 29.97, { dropFrame: true });
+            expect(Timecode.toFrame(timecode, 29.97)).toBe(frame);
+        }
+    });
+
+    test('rejects invalid timecode', () => {
+        expect(() => Timecode.toFrame('1:00:00', 24)).toThrow('Invalid timecode: 1:00:00. Expected HH:MM:SS:FF.');
+        expect(() => Timecode.toFrame('00:00:00:24', 24)).toThrow('Fields are out of range at 24 frames per second');
+        expect(() => Timecode.toFrame('00:60:00:00', 24)).toThrow('out of range');
+        expect(() => Timecode.toFrame('00:01:00;01', 29.97)).toThrow('Invalid drop-frame timecode: 00:01:00;01');
+        expect(Timecode.toFrame('00:10:00;00', 29.97)).toBe(17982);
+        expect(() => Timecode.fromFrame(-1, 24)).toThrow('Invalid frame: -1. Expected non-negative integer.');
+        expect(() => Timecode.fromFrame(1.5, 24)).toThrow('Invalid frame');
+        expect(() => Timecode.fromFrame(1, 0)).toThrow('Invalid frame rate: 0');
+        expect(() => Timecode.fromFrame(1, 'fast')).toThrow('Invalid frame rate: fast');
+        expect(() => Timecode.fromFrame(1, 23.976, { dropFrame: true }))
+            .toThrow('Drop-frame timecode is not defined at 23.976 fps');
+        expect(() => Timecode.toFrame('00:00:00;00', 30)).toThrow('Drop-frame timecode is not defined at 30 fps');
+    });
+
+    describe('with collections', () => {
+        const timecode = { rate: 24, offset: 86400 - 1001 };
+
+        test('parses timecode ranges', () => {
+            const plate = Collection.parse('plate.%04d.exr [01:00:00:00-01:00:04:04]', { timecode });
+            expect(plate.format()).toBe('plate.%04d.exr [1001-1101]');
+
+            const withHoles = Collection.parse('plate.%04d.exr [01:00:00:00 - 01:00:00:10, 01:00:01:00] [01:00:00:05]', {
+                pattern: '{head}{padding}{tail} [{ranges}] [{holes}]',
+                timecode
+            });
+            expect(withHoles.format('{ranges}')).toBe('1001-1005, 1007-1011, 1025');
+
+            const single = Collection.parse('plate.%04d.exr [01:00:00:00-01:00:00:02]', {
+                pattern: '{head}{padding}{tail} [{range}]',
+                timecode
+            });
+            expect(single.indexes).toEqual([1001, 1002, 1003]);
+        });
+
+        test('parses drop-frame timecode ranges', () => {
+            const plate = Collection.parse('plate.%d.exr [00:00:59;28-00:01:00;03]', { timecode: { rate: 29.97 } });
+            expect(plate.indexes).toEqual([1798, 1799, 1800, 1801]);
+        });
+
+        test('requires the timecode option to parse timecode', () => {
+            expect(() => Collection.parse('plate.%04d.exr [01:00:00:00-01:00:04:04]'))
+                .toThrow('Timecode 01:00:00:00-01:00:04:04 requires the timecode option');
+        });
+
+        test('formats timecode placeholders', () => {
+            const plate = Collection.parse('plate.%04d.exr [1001-1101]');
+            expect(plate.format('{start_tc}-{END_TC} {duration}', { timecode })).toBe('01:00:00:00-01:00:04:04 00:00:04:05');
+            expect(new Collection().format('[{start_tc}]', { timecode })).toBe('[]');
+            expect(() => plate.format('{start_tc}')).toThrow('Formatting timecode requires the timecode option');
+
+            const dropFrame = new Collection({ indexes: [107892, 107893] });
+            expect(dropFrame.format('{start_tc}', { timecode: { rate: 29.97, dropFrame: true } })).toBe('01:00:00;00');
+        });
+
+        test('iterates timecodes', () => {
+            const plate = Collection.parse('plate.%04d.exr [1001-1002, 1024]');
+            expect([...plate.timecodes(timecode)]).toEqual(['01:00:00:00', '01:00:00:01', '01:00:00:23']);
+            expect(() => [...plate.timecodes({ rate: 24 })]).not.toThrow();
+            expect(() => [...new Collection({ indexes: [-1] }).timecodes({ rate: 24 })]).toThrow('Invalid frame: -1');
+        });
+    });
+});
+
+
+describe('Snapshot diff', () => {
+    const frames = (head, first, last, tail = '.exr', width = 4) =>
+        [...range(first, last + 1)].map(frame => `${head}${String(frame).padStart(width, '0')}${tail}`);
+
+    test('reports frames added and removed per sequence', () => {
+        const before = Collection.assemble([...frames('shot.', 1, 10), ...frames('plate.', 1, 3)]);
+        const after = Collection.assemble([...frames('shot.', 3, 14), ...frames('plate.', 1, 3)]);
+
+        const report = Collection.diff(before, after);
+        expect(report.added).toEqual([]);
+        expect(report.removed).toEqual([]);
+        expect(report.changed).toHaveLength(1);
+
+        const [change] = report.changed;
+        expect(change.before).toBe(before[0][1]);
+        expect(change.after).toBe(after[0][1]);
+        expect(change.added.format()).toBe('shot.%04d.exr [11-14]');
+        expect(change.removed.format()).toBe('shot.%04d.exr [1-2]');
+        expect(change.paddingChanged).toBe(false);
+        expect(change.tailChanged).toBe(false);
+        expect(report.unchanged).toEqual([after[0][0]]);
+    });
+
+    test('reports new and vanished sequences', () => {
+        const before = Collection.assemble([...frames('shot.', 1, 3), ...frames('old.', 1, 3)]);
+        const after = Collection.assemble([...frames('shot.', 1, 3), ...frames('new.', 1, 3)]);
+
+        const report = Collection.diff(before, after);
+        expect(report.added.map(collection => collection.head)).toEqual(['new.']);
+        expect(report.removed.map(collection => collection.head)).toEqual(['old.']);
+        expect(report.changed).toEqual([]);
+        expect(report.unchanged.map(collection => collection.head)).toEqual(['shot.']);
+    });
+
+    test('reports padding and tail changes', () => {
+        const before = Collection.assemble([...frames('shot.', 1, 3, '.exr', 1), ...frames('comp.', 1, 3, '.exr')]);
+        const after = Collection.assemble([...frames('shot.', 1, 3, '.exr', 4), ...frames('comp.', 1, 3, '.png')]);
+
+        const report = Collection.diff(before, after);
+        expect(report.added).toEqual([]);
+        expect(report.removed).toEqual([]);
+
+        const [tail, padding] = report.changed;
+        expect(padding.paddingChanged).toBe(true);
+        expect(padding.tailChanged).toBe(false);
+        expect(padding.added.indexes).toEqual([]);
+        expect(tail.tailChanged).toBe(true);
+        expect(tail.after.format()).toBe('comp.%04d.png [1-3]');
+    });
+
+    test('prefers exact counterparts over looser ones', () => {
+        const before = Collection.assemble([...frames('shot.', 1, 3, '.exr'), ...frames('shot.', 1, 3, '.jpg')]);
+        const after = Collection.assemble([...frames('shot.', 1, 3, '.jpg'), ...frames('shot.', 1, 3, '.exr')]);
+
+        const report = Collection.diff(before, after);
+        expect(report.changed).toEqual([]);
+        expect(report.unchanged).toHaveLength(2);
+    });
+
+    test('reports remainder churn', () => {
+        const before = Collection.assemble(['notes.txt', 'shot.0001.exr', 'a.txt']);
+        const after = Collection.assemble(['notes.txt', ...frames('shot.', 1, 2), 'b.txt']);
+
+        const report = Collection.diff(before, after);
+        expect(report.remainder.added).toEqual(['b.txt']);
+        expect([...report.remainder.removed].sort()).toEqual(['a.txt', 'shot.0001.exr']);
+        expect(report.added.map(collection => collection.format())).toEqual(['shot.%04d.exr [1-2]']);
+    });
+
+    test('compares under the matching policy of the earlier collections', () => {
+        const options = { caseSensitive: false };
+        const before = Collection.assemble(frames('SHOT.', 1, 2), options);
+        const after = Collection.assemble(frames('shot.', 1, 3), options);
+
+        const report = Collection.diff(before, after);
+        expect(report.changed[0].added.indexes).toEqual([3]);
+        expect(Collection.diff(Collection.assemble(frames('SHOT.', 1, 2)), after).removed).toHaveLength(1);
+    });
+
+    test('serializes the report', () => {
+        const before = Collection.assemble(frames('shot.', 1, 2));
+        const after = Collection.assemble(frames('shot.', 1, 3));
+        const report = JSON.parse(JSON.stringify(Collection.diff(before, after)));
+        expect(report.changed[0].added).toEqual({ version: 1, head: 'shot.', tail: '.exr', padding: 4, ranges: [3] });
+    });
+
+    test('rejects other input', () => {
+        expect(() => Collection.diff([[], []], [])).toThrow('Expected a [collections, remainder] tuple');
+        expect(() => Collection.diff(null, [[], []])).toThrow('Expected a [collections, remainder] tuple');
+    });
+});
+
+
+describe('Collection.qc', () => {
+    let root;
+    let collection;
+
+    const write = (index, contents) => {
+        fs.writeFileSync(path.join(root, `shot.${String(index).padStart(4, '0')}.exr`), contents);
+    };
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'seqo-qc-'));
+        collection = new Collection({ head: 'shot.', tail: '.exr', padding: 4, indexes: [...range(1, 13)] });
+        collection.remove(6);
+        for (const index of collection.keys()) {
+            write(index, `frame ${index} `.repeat(100));
+        }
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('passes a clean render', async () => {
+        const report = await Collection.qc(collection, { directory: root, hash: true });
+
+        expect(report.files.size).toBe(11);
+        expect(report.files.get(1)).toEqual({
+            path: path.join(root, 'shot.0001.exr'),
+            size: 800,
+            hash: expect.stringMatching(/^[0-9a-f]{40}$/)
+        });
+        expect(report.holes.indexes).toEqual([6]);
+        expect(report.missing).toEqual([]);
+        expect(report.empty).toEqual([]);
+        expect(report.outliers).toEqual([]);
+        expect(report.duplicates).toEqual([]);
+    });
+
+    test('reports missing, empty and truncated files', async () => {
+        fs.rmSync(path.join(root, 'shot.0003.exr'));
+        write(4, '');
+        write(9, 'frame 9 ');
+
+        const report = await Collection.qc(collection, { directory: root });
+        expect(report.missing).toEqual([3]);
+        expect(report.empty).toEqual([4]);
+        expect(report.outliers).toEqual([{ index: 9, size: 8, median: 800 }]);
+        expect(report.duplicates).toEqual([]);
+        expect(report.files.get(1).hash).toBeUndefined();
+    });
+
+    test('tunes outlier detection', async () => {
+        write(9, 'frame 9 '.repeat(60));
+        expect((await Collection.qc(collection, { directory: root })).outliers).toEqual([]);
+
+        const strict = await Collection.qc(collection, { directory: root, minSizeRatio: 0.8 });
+        expect(strict.outliers.map(({ index }) => index)).toEqual([9]);
+    });
+
+    test('reports runs of identical files', async () => {
+        [7, 8, 9].forEach(index => write(index, 'stuck '.repeat(100)));
+        [11, 12].forEach(index => write(index, ''));
+
+        const report = await Collection.qc(collection, { directory: root, hash: true, algorithm: 'md5' });
+        expect(report.duplicates).toEqual([{ indexes: [7, 8, 9], hash: expect.stringMatching(/^[0-9a-f]{32}$/) }]);
+        expect(report.empty).toEqual([11, 12]);
+    });
+
+    test('resolves members without a directory', async () => {
+        const absolute = new Collection({ head: path.join(root, 'shot.'), tail: '.exr', padding: 4, indexes: [1, 2] });
+        const report = await Collection.qc(absolute);
+        expect(report.files.get(2).path).toBe(path.join(root, 'shot.0002.exr'));
+    });
+});
+
+
+describe('Globs', () => {
+    test('writes globs for padded and unpadded collections', () => {
+        expect(new Collection({ head: 'shot_', tail: '.exr', padding: 3 }).toGlob()).toBe('shot_[0-9][0-9][0-9].exr');
+        expect(new Collection({ head: 'shot_', tail: '.exr' }).toGlob()).toBe('shot_*.exr');
+        expect(new Collection({ head: 'shot_', tail: '.exr', padding: 3 }).toGlob({ wildcard: true })).toBe('shot_*.exr');
+        expect(new Collection({ head: 'sim.', tail: '.bgeo', padding: 4, indexes: [-10, 5] }).toGlob())
+            .toBe('sim.[-0-9][0-9][0-9][0-9].bgeo');
+    });
+
+    test('escapes special characters', () => {
+        const collection = new Collection({ head: '[v1] *take?.', tail: '.{a}', padding: 2 });
+        expect(collection.toGlob()).toBe('[[]v1[]] [*]take[?].[0-9][0-9].[{]a[}]');
+    });
+
+    test('writes globs for UDIM collections', () => {
+        expect(new UdimCollection({ head: 'diffuse.', tail: '.tx' }).toGlob()).toBe('diffuse.[1-9][0-9][0-9][0-9].tx');
+        expect(new UdimCollection({ head: 'diffuse.', tail: '.tx' }).toGlob({ wildcard: true })).toBe('diffuse.*.tx');
+        expect(new UdimCollection({ head: 'diffuse_', tail: '.tx', scheme: 'uvtile' }).toGlob()).toBe('diffuse_u*_v*.tx');
+    });
+
+    test('round-trips through assemble', () => {
+        const collection = new Collection({ head: 'a (b)+[x]{y}*?.', tail: '.exr', padding: 3, indexes: [1, 2, 3] });
+        const items = [...collection.members, 'a (b)+[x]{y}*?.0004.exr', 'a (b)+[x]{y}*?.01.exr'];
+        const [[assembled], remainder] = Collection.assemble(items, { globs: collection.toGlob() });
+
+        expect(assembled.indexes).toEqual([1, 2, 3]);
+        expect(remainder.sort()).toEqual(['a (b)+[x]{y}*?.0004.exr', 'a (b)+[x]{y}*?.01.exr']);
+    });
+
+    test('round-trips heads with backslashes, brackets, braces and stars through assemble', () => {
+        expect(new Collection({ head: 'C:\\x\\a.', tail: '.exr' }).toGlob()).toBe('C:[\\\\]x[\\\\]a.*.exr');
+
+        for (const head of ['C:\\x\\a.', 'a[b].', 'a{b,c}.', 'a*.', 'a\\[*{x}.']) {
+            const collection = new Collection({ head, tail: '.exr', padding: 2, indexes: [1, 2] });
+            const [collections, remainder] = Collection.assemble([...collection.members, `${head}1.exr`], {
+                globs: collection.toGlob()
+            });
+            expect(collections.map(assembled => assembled.format())).toEqual([collection.format()]);
+            expect(remainder).toEqual([`${head}1.exr`]);
+        }
+    });
+
+    test('filters assembly by globs', () => {
+        const items = ['a/shot.1.exr', 'a/shot.2.exr', 'b/shot.1.exr', 'b/shot.2.exr', 'plate.1.dpx', 'plate.2.dpx', 'c.1.txt', 'c.2.txt'];
+        const [collections, remainder] = Collection.assemble(items, { globs: ['a/*.exr', '*.{dpx,tif}'] });
+
+        expect(collections.map(collection => collection.format())).toEqual(['a/shot.%d.exr [1-2]', 'plate.%d.dpx [1-2]']);
+        expect(remainder.sort()).toEqual(['b/shot.1.exr', 'b/shot.2.exr', 'c.1.txt', 'c.2.txt']);
+        expect(Collection.assemble(items, { globs: '*.exr' })[0]).toEqual([]);
+        expect(Collection.assemble(items, { globs: '**.exr' })[0]).toHaveLength(2);
+    });
+
+    test('supports glob syntax', () => {
+        const assembled = globs => Collection.assemble(['x1.a', 'x2.a', 'y1.a', 'y2.a', ']1.a', ']2.a', '\\1.a', '\\2.a'], { globs, minItems: 1 })[0]
+            .map(collection => collection.head);
+
+        expect(assembled('[!x]?.a')).toEqual(['\\', ']', 'y']);
+        expect(assembled('[]x]*')).toEqual([']', 'x']);
+        expect(assembled('?1.a')).toEqual(['\\', ']', 'x', 'y']);
+        expect(assembled('\\\\*')).toEqual(['\\']);
+        expect(assembled('{x,y}[0-1].a')).toEqual(['x', 'y']);
+        expect(() => assembled('[x')).toThrow('Invalid glob: [x. Unclosed bracket expression.');
+        expect(() => assembled('{x')).toThrow('Invalid glob: {x. Unclosed brace.');
+        expect(() => assembled([1])).toThrow('Invalid glob type: number');
+    });
+
+    test('matches globs under the matching policy', () => {
+        const items = ['SHOT.1.EXR', 'shot.2.exr'];
+        expect(Collection.assemble(items, { globs: 'shot.*.exr', caseSensitive: false })[0][0].indexes).toEqual([1, 2]);
+        expect(Collection.assemble(items, { globs: 'shot.*.exr' })[1]).toContain('SHOT.1.EXR');
+    });
+
+    test('filters streamed assembly by globs', async () => {
+        const [collections, remainder] = await Collection.assembleAsync(
+            Readable.from(['a.1.exr\na.2.exr\nb.1.jpg\nb.2.jpg\n'], { objectMode: false }),
+            { globs: '*.exr' }
+        );
+        expect(collections.map(collection => collection.format())).toEqual(['a.%d.exr [1-2]']);
+        expect(remainder).toEqual(['b.1.jpg', 'b.2.jpg']);
+    });
+});
+
+
+describe('Padding overflow', () => {
+    test('matches only exact widths by default', () => {
+        const collection = new Collection({ head: 'shot.', tail: '.exr', padding: 4 });
+        expect(collection.paddingMode).toBe('exact');
+        expect(collection.match('shot.10000.exr')).toBeNull();
+        expect(() => collection.add('shot.10000.exr')).toThrow('does not match collection expression');
+    });
+
+    test('matches overflowing indexes as a minimum width', () => {
+        const collection = new Collection({ head: 'shot.', tail: '.exr', padding: 4, paddingMode: 'minimum' });
+        collection.add(['shot.0001.exr', 'shot.9999.exr', 'shot.10000.exr', 'shot.123456.exr']);
+        expect(collection.indexes).toEqual([1, 9999, 10000, 123456]);
+        expect(collection.members).toContain('shot.10000.exr');
+
+        expect(collection.match('shot.1.exr')).toBeNull();
+        expect(collection.match('shot.00010.exr')).toBeNull();
+        expect(collection.match('shot.-001.exr')).not.toBeNull();
+        expect(collection.match('shot.-0001.exr')).toBeNull();
+        expect(collection.match('shot.-12345.exr')).not.toBeNull();
+
+        collection.remove('shot.10000.exr');
+        expect(collection.indexes).toEqual([1, 9999, 123456]);
+    });
+
+    test('treats unpadded collections the same in both modes', () => {
+        const collection = new Collection({ head: 'v', tail: '', paddingMode: 'minimum' });
+        expect(collection.match('v10')).not.toBeNull();
+        expect(collection.match('v010')).toBeNull();
+    });
+
+    test('merges overflowing indexes when assembling', () => {
+        const items = ['shot.0998.exr', 'shot.0999.exr', 'shot.1000.exr', 'shot.10000.exr', 'shot.10001.exr'];
+
+        const [exact] = Collection.assemble(items);
+        expect(exact.map(collection => collection.format())).toEqual([
+            'shot.%04d.exr [998-1000]',
+            'shot.%d.exr [1000, 10000-10001]'
+        ]);
+
+        const [[minimum], remainder] = Collection.assemble(items, { paddingMode: 'minimum' });
+        expect(minimum.format()).toBe('shot.%04d.exr [998-1000, 10000-10001]');
+        expect(minimum.paddingMode).toBe('minimum');
+        expect(remainder).toEqual([]);
+    });
+
+    test('merges each overflowing index into one collection', () => {
+        const items = ['a.001.exr', 'a.002.exr', 'a.0001.exr', 'a.0002.exr', 'a.10000.exr'];
+        const [collections] = Collection.assemble(items, { paddingMode: 'minimum', minItems: 1 });
+        expect(collections.map(collection => collection.format())).toEqual([
+            'a.%03d.exr [1-2]',
+            'a.%04d.exr [1-2, 10000]'
+        ]);
+    });
+
+    test('keeps unpadded indexes too narrow to merge', () => {
+        const items = ['shot.0999.exr', 'shot.1000.exr', 'shot.5.exr', 'shot.6.exr', 'shot.10000.exr'];
+        const [collections] = Collection.assemble(items, { paddingMode: 'minimum' });
+        expect(collections.map(collection => collection.format())).toEqual([
+            'shot.%d.exr [5-6, 1000, 10000]',
+            'shot.%04d.exr [999-1000, 10000]'
+        ]);
+    });
+
+    test('validates and serializes the padding mode', () => {
+        expect(() => new Collection({ paddingMode: 'loose' })).toThrow('Invalid padding mode: loose');
+
+        const collection = Collection.parse('shot.%04d.exr [1-2]', { paddingMode: 'minimum' });
+        expect(collection.paddingMode).toBe('minimum');
+        expect(collection.toJSON().paddingMode).toBe('minimum');
+        expect(Collection.fromJSON(collection.toJSON()).paddingMode).toBe('minimum');
+        expect(new Collection().toJSON()).not.toHaveProperty('paddingMode');
+        expect(() => Collection.fromJSON({ ...collection.toJSON(), paddingMode: 'x' })).toThrow('"paddingMode" must be "exact" or "minimum"');
+        expect(collection.offset(1).collection.paddingMode).toBe('minimum');
+    });
+
+    test('re-pads with a rename mapping', () => {
+        const collection = new Collection({ head: 'shot.', tail: '.exr', padding: 3, indexes: [1, 2, 1000], caseSensitive: false });
+        const { collection: repadded, mapping } = collection.repad(4);
+
+        expect(repadded.format()).toBe('shot.%04d.exr [1-2, 1000]');
+        expect(repadded.caseSensitive).toBe(false);
+        expect(collection.padding).toBe(3);
+        expect(Array.from(mapping)).toEqual([
+            ['shot.001.exr', 'shot.0001.exr'],
+            ['shot.002.exr', 'shot.0002.exr'],
+            ['shot.1000.exr', 'shot.1000.exr']
+        ]);
+        expect(collection.repad(0).collection.members).toEqual(['shot.1.exr', 'shot.2.exr', 'shot.1000.exr']);
+        expect(() => collection.repad(-1)).toThrow('Padding must be a non-negative integer');
+    });
+});
+
+
+describe('Collection.assemblePaths', () => {
+    const paths = [
+        '/shots/sh010/v001/img.1001.exr', '/shots/sh010/v001/img.1002.exr',
+        '/shots/sh010/v002/img.1001.exr', '/shots/sh010/v002/img.1002.exr',
+        '/shots/sh010/v002/notes.txt'
+    ];
+    const find = (node, ...names) => names.reduce((parent, name) => parent.children.find(child => child.name === name), node);
+
+    test('assembles basenames only', () => {
+        const [collections] = Collection.assemble(paths);
+        expect(collections.some(collection => collection.head === '/shots/sh010/v')).toBe(true);
+
+        const root = Collection.assemblePaths(paths);
+        const v002 = find(root, '', 'shots', 'sh010', 'v002');
+        expect(v002.path).toBe('/shots/sh010/v002');
+        expect(v002.collections.map(collection => collection.format())).toEqual(['/shots/sh010/v002/img.%d.exr [1001-1002]']);
+        expect(v002.collections[0].members[0]).toBe('/shots/sh010/v002/img.1001.exr');
+        expect(v002.remainder).toEqual(['/shots/sh010/v002/notes.txt']);
+        expect(find(root, '', 'shots').collections).toEqual([]);
+    });
+
+    test('builds a tree by parent directory', () => {
+        const root = Collection.assemblePaths([...paths, 'x.1.exr', 'x.2.exr']);
+        expect(root.name).toBe('');
+        expect(root.path).toBe('');
+        expect(root.collections.map(collection => collection.format())).toEqual(['x.%d.exr [1-2]']);
+        expect(root.children.map(({ name, path }) => [name, path])).toEqual([['', '/']]);
+        expect(find(root, '', 'shots', 'sh010').children.map(({ name }) => name)).toEqual(['v001', 'v002']);
+    });
+
+    test('splits on backslashes', () => {
+        const root = Collection.assemblePaths(['C:\\renders\\v1\\a.1.exr', 'C:\\renders\\v1\\a.2.exr', 'C:/renders/v1/b.1.exr']);
+        const v1 = find(root, 'C:', 'renders', 'v1');
+        expect(v1.path).toBe('C:\\renders\\v1');
+        expect(v1.collections.map(collection => collection.format())).toEqual(['C:\\renders\\v1\\a.%d.exr [1-2]']);
+        expect(v1.remainder).toEqual(['C:/renders/v1/b.1.exr']);
+    });
+
+    test('assembles numbered directories', () => {
+        const root = Collection.assemblePaths([...paths, '/shots/sh020/'], { directories: true });
+        const sh010 = find(root, '', 'shots', 'sh010');
+        expect(sh010.directories.map(collection => collection.format())).toEqual(['/shots/sh010/v%03d [1-2]']);
+        expect(sh010.directories[0].members).toEqual(['/shots/sh010/v001', '/shots/sh010/v002']);
+        expect(find(root, '', 'shots').directories.map(collection => collection.format())).toEqual(['/shots/sh%03d [10, 20]']);
+        expect(find(root, '', 'shots', 'sh020').collections).toEqual([]);
+
+        expect(find(Collection.assemblePaths(paths), '', 'shots', 'sh010').directories).toEqual([]);
+    });
+
+    test('passes options to assemble', () => {
+        const root = Collection.assemblePaths(['a/IMG.1.exr', 'a/img.2.exr', 'a/img.3.exr'], { caseSensitive: false, minItems: 3 });
+        expect(find(root, 'a').collections[0].indexes).toEqual([1, 2, 3]);
+    });
+});
+
+
+describe('Natural sorting', () => {
+    test('compares runs of digits by value', () => {
+        expect(['shot10', 'shot2', 'shot1'].sort(naturalCompare)).toEqual(['shot1', 'shot2', 'shot10']);
+        expect(['v10.ma', 'v9.ma', 'v9b.ma', 'v9a.ma'].sort(naturalCompare)).toEqual(['v9.ma', 'v9a.ma', 'v9b.ma', 'v10.ma']);
+        expect(['b', 'a10', 'a2', '10', '9'].sort(naturalCompare)).toEqual(['9', '10', 'a2', 'a10', 'b']);
+    });
+
+    test('compares digits beyond the range of safe integers exactly', () => {
+        expect(naturalCompare('x99999999999999999998', 'x99999999999999999999')).toBeLessThan(0);
+        expect(naturalCompare('x100000000000000000000', 'x99999999999999999999')).toBeGreaterThan(0);
+    });
+
+    test('orders equal values by width, then by code point', () => {
+        expect(['a01', 'a1', 'a001'].sort(naturalCompare)).toEqual(['a1', 'a01', 'a001']);
+        expect(['a01b2', 'a1b02'].sort(naturalCompare)).toEqual(['a1b02', 'a01b2']);
+        expect(['B', 'a', 'A'].sort(naturalCompare)).toEqual(['A', 'B', 'a']);
+        expect(naturalCompare('shot.1', 'shot.1')).toBe(0);
+        expect(naturalCompare('', 'a')).toBeLessThan(0);
+    });
+});
+
+
+describe('Assembly order', () => {
+    const items = [
+        'shot10.2.exr', 'shot10.1.exr', 'notes10.txt',
+        'shot2.1.exr', 'shot2.2.exr', 'notes2.txt',
+        'shot2.11.dpx', 'shot2.10.dpx'
+    ];
+    const patterns = [Collection.patterns.frames];
+
+    test('orders collections by head, tail and first index, and the remainder naturally', () => {
+        const [collections, remainder] = Collection.assemble(items, { patterns });
+        expect(collections.map(collection => collection.format())).toEqual([
+            'shot2.%d.dpx [10-11]',
+            'shot2.%d.exr [1-2]',
+            'shot10.%d.exr [1-2]'
+        ]);
+        expect(remainder).toEqual(['notes2.txt', 'notes10.txt']);
+
+        const [byIndex] = Collection.assemble(['a.5.exr', 'a.6.exr', 'a.0001.exr', 'a.0002.exr'], { patterns });
+        expect(byIndex.map(collection => collection.format())).toEqual(['a.%04d.exr [1-2]', 'a.%d.exr [5-6]']);
+    });
+
+    test('orders by code point', () => {
+        const [collections, remainder] = Collection.assemble(items, { patterns, sort: 'lexical' });
+        expect(collections.map(collection => collection.head)).toEqual(['shot10.', 'shot2.', 'shot2.']);
+        expect(remainder).toEqual(['notes10.txt', 'notes2.txt']);
+    });
+
+    test('keeps insertion order', () => {
+        const [collections, remainder] = Collection.assemble(items, { patterns, sort: 'insertion' });
+        expect(collections.map(collection => collection.format())).toEqual([
+            'shot10.%d.exr [1-2]',
+            'shot2.%d.exr [1-2]',
+            'shot2.%d.dpx [10-11]'
+        ]);
+        expect(remainder).toEqual(['notes10.txt', 'notes2.txt']);
+    });
+
+    test('orders the output of assembleAsync and empty pattern lists', async () => {
+        const [collections, remainder] = await Collection.assembleAsync(items, { patterns });
+        expect(collections.map(collection => collection.head)).toEqual(['shot2.', 'shot2.', 'shot10.']);
+        expect(remainder).toEqual(['notes2.txt', 'notes10.txt']);
+
+        expect(Collection.assemble(['b10', 'b9'], { patterns: [] })).toEqual([[], ['b9', 'b10']]);
+        expect(Collection.assemble(['b10', 'b9'], { patterns: [], sort: 'insertion' })).toEqual([[], ['b10', 'b9']]);
+    });
+
+    test('rejects unknown sort orders', () => {
+        expect(() => Collection.assemble(items, { sort: 'random' }))
+            .toThrow('Invalid sort order: random. Expected \'natural\', \'lexical\' or \'insertion\'.');
+        expect(() => Collection.assemble(items, { sort: 'toString' })).toThrow('Invalid sort order: toString.');
+    });
+});
+
+
+describe('Collection.parseAny', () => {
+    test.each([
+        ['img.%04d.exr [1-100]', 'seqo'],
+        ['img.%04d.exr 1-100', 'nuke'],
+        ['img.####.exr 1-100', 'nuke'],
+        ['img.$F4.exr 1-100', 'houdini'],
+        ['img.1-100#.exr', 'rv'],
+        ['img.1-100@@@@.exr', 'rv'],
+        ['img.0001-0100.exr', 'djv']
+    ])('reads %s in %s notation', (string, notation) => {
+        const result = Collection.parseAny(string);
+        expect(result.notation).toBe(notation);
+        expect(result.collection.format()).toBe('img.%04d.exr [1-100]');
+    });
+
+    test('reads Houdini paths without ranges', () => {
+        const { collection, notation } = Collection.parseAny('img.${F3}.exr');
+        expect(notation).toBe('houdini');
+        expect(collection.format('{head}{padding}{tail}')).toBe('img.%03d.exr');
+        expect(collection.indexes).toEqual([]);
+    });
+
+    test('reads lists, steps and negative indexes', () => {
+        expect(Collection.parseAny('img.%d.exr 1-3, 7').collection.indexes).toEqual([1, 2, 3, 7]);
+        expect(Collection.parseAny('img.1-9x4,20@.exr').collection.format()).toBe('img.%d.exr [1, 5, 9, 20]');
+        expect(Collection.parseAny('sh010.1-2##.exr').collection.format()).toBe('sh010.%08d.exr [1-2]');
+        expect(Collection.parseAny('img.-010-0010.exr').collection.format()).toBe('img.%04d.exr [-10-10]');
+    });
+
+    test('reads unpadded DJV ranges and rejects inconsistent padding', () => {
+        expect(Collection.parseAny('img.1-100.exr').collection.format()).toBe('img.%d.exr [1-100]');
+        expect(() => Collection.parseAny('img.0001-100.exr')).toThrow('djv: Range 0001-100 is not padded consistently');
+    });
+
+    test('passes options to each notation', () => {
+        const { collection } = Collection.parseAny('IMG.1-2#.EXR', { caseSensitive: false, paddingMode: 'minimum' });
+        expect(collection.caseSensitive).toBe(false);
+        expect(collection.paddingMode).toBe('minimum');
+        expect(collection.match('img.0001.exr')).not.toBeNull();
+    });
+
+    test('tries the given notations in order', () => {
+        const custom = string => Collection.parse(string, { pattern: '{head}{padding}{tail} ({ranges})' });
+        const { notation } = Collection.parseAny('img.%d.exr (1-2)', { notations: { ...Collection.notations, custom } });
+        expect(notation).toBe('custom');
+
+        expect(() => Collection.parseAny('img.%04d.exr [1-2]', { notations: { djv: Collection.notations.djv } }))
+            .toThrow('djv: Expected a string like "img.0001-0100.exr"');
+    });
+
+    test('lists why each notation failed', () => {
+        let error;
+        try {
+            Collection.parseAny('notes.txt');
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message.split('\n')).toEqual([
+            'String "notes.txt" does not match any notation',
+            '    seqo: String "notes.txt" does not match pattern "{head}{padding}{tail} [{ranges}]"',
+            '    nuke: Expected a string like "img.%04d.exr 1-100"',
+            '    houdini: Expected a string like "img.$F4.exr"',
+            '    rv: Expected a string like "img.1-100#.exr"',
+            '    djv: Expected a string like "img.0001-0100.exr"'
+        ]);
+    });
+});
+
+
+describe('FrozenCollection', () => {
+    let frozen;
+
+    beforeEach(() => {
+        frozen = FrozenCollection.fromCollection(Collection.parse('shot.%04d.exr [1-10]', { paddingMode: 'minimum' }));
+    });
+
+    test('cannot be changed', () => {
+        expect(Object.isFrozen(frozen)).toBe(true);
+        expect(() => { frozen.head = 'plate.'; }).toThrow(TypeError);
+        expect(() => { frozen.padding = 2; }).toThrow(TypeError);
+        expect(frozen.format()).toBe('shot.%04d.exr [1-10]');
+    });
+
+    test('cannot have its indexes changed', () => {
+        const derived = frozen.with({ tail: '.jpg' });
+        expect(() => frozen._indexes.add(100)).toThrow('Cannot change the indexes of a frozen collection');
+        expect(() => derived._indexes.deleteRange(1, 5)).toThrow(TypeError);
+        expect(frozen.format()).toBe('shot.%04d.exr [1-10]');
+        expect(derived.format()).toBe('shot.%04d.jpg [1-10]');
+
+        const mutable = frozen.toCollection().add(100);
+        expect(mutable.format()).toBe('shot.%04d.exr [1-10, 100]');
+        expect(frozen.format()).toBe('shot.%04d.exr [1-10]');
+    });
+
+    test('replaces fields with with', () => {
+        const jpegs = frozen.with({ tail: '.jpg', caseSensitive: false });
+        expect(jpegs).toBeInstanceOf(FrozenCollection);
+        expect(jpegs.format()).toBe('shot.%04d.jpg [1-10]');
+        expect(jpegs.caseSensitive).toBe(false);
+        expect(jpegs.paddingMode).toBe('minimum');
+        expect(jpegs._indexes).toBe(frozen._indexes);
+        expect(frozen.with({ indexes: [1, 3] }).format()).toBe('shot.%04d.exr [1, 3]');
+        expect(frozen.tail).toBe('.exr');
+
+        expect(frozen.with({ head: 'shot.', padding: 4 })).toBe(frozen);
+        expect(() => frozen.with({ padding: -1 })).toThrow('Padding must be a non-negative integer');
+    });
+
+    test('returns new collections from add and remove', () => {
+        const added = frozen.add([11, 'shot.0020.exr']);
+        expect(added).toBeInstanceOf(FrozenCollection);
+        expect(added.format()).toBe('shot.%04d.exr [1-11, 20]');
+        expect(frozen.remove([1, 'shot.0002.exr']).format()).toBe('shot.%04d.exr [3-10]');
+        expect(frozen.format()).toBe('shot.%04d.exr [1-10]');
+
+        expect(frozen.add(5)).toBe(frozen);
+        expect(frozen.remove(50)).toBe(frozen);
+        expect(() => frozen.add('plate.0001.exr')).toThrow('does not match collection expression');
+        expect(() => frozen.remove('plate.0001.exr', { strict: true })).toThrow('Invalid string format');
+    });
+
+    test('converts to and from mutable collections without sharing', () => {
+        const mutable = frozen.toCollection();
+        expect(mutable).not.toBeInstanceOf(FrozenCollection);
+        expect(mutable.paddingMode).toBe('minimum');
+        mutable.remove(5).add(12);
+        mutable.head = 'plate.';
+        expect(frozen.format()).toBe('shot.%04d.exr [1-10]');
+
+        const source = Collection.parse('a.%d.exr [1-3]');
+        const copy = FrozenCollection.fromCollection(source);
+        source.remove(2);
+        expect(copy.indexes).toEqual([1, 2, 3]);
+        expect(FrozenCollection.fromCollection(copy)).toBe(copy);
+    });
+
+    test('derives frozen collections', () => {
+        const other = Collection.parse('shot.%04d.exr [20-21]', { paddingMode: 'minimum' });
+        const union = frozen.union(other);
+        expect(union).toBeInstanceOf(FrozenCollection);
+        expect(union.format()).toBe('shot.%04d.exr [1-10, 20-21]');
+        expect(() => union.add(30)).not.toThrow();
+        expect(union.indexes).toHaveLength(12);
+
+        const { collection: repadded, mapping } = frozen.repad(5);
+        expect(repadded).toBeInstanceOf(FrozenCollection);
+        expect(Object.isFrozen(repadded)).toBe(true);
+        expect(repadded.paddingMode).toBe('minimum');
+        expect(mapping.get('shot.0001.exr')).toBe('shot.00001.exr');
+        expect(frozen.offset(10).collection.format()).toBe('shot.%04d.exr [11-20]');
+        expect(frozen.holes).toBeNull();
+        expect(other.isCompatible(frozen)).toBe(true);
+        expect(new FrozenCollection({ head: 'a.', indexes: [1, 2] }).members).toEqual(['a.1', 'a.2']);
+    });
+});
+
+
+describe('Render-farm chunks', () => {
+    const frames = () => Collection.parse('shot.%04d.exr [1001-1010, 1020-1024]');
+    const lists = chunks => chunks.map(chunk => chunk.frameList());
+
+    test('chunks by size', () => {
+        const chunks = frames().chunk({ size: 5 });
+        expect(lists(chunks)).toEqual(['1001-1005', '1006-1010', '1020-1024']);
+        expect(chunks[0].format('{head}{padding}{tail}')).toBe('shot.%04d.exr');
+        expect(lists(frames().chunk({ size: 4 }))).toEqual(['1001-1004', '1005-1008', '1009-1010,1020-1021', '1022-1024']);
+    });
+
+    test('chunks into a number of even chunks', () => {
+        expect(lists(frames().chunk({ count: 2 }))).toEqual(['1001-1008', '1009-1010,1020-1024']);
+        expect(frames().chunk({ count: 4 }).map(chunk => chunk.indexes.length)).toEqual([4, 4, 4, 3]);
+        expect(Collection.parse('a.%d [1-3]').chunk({ count: 5 }).map(chunk => chunk.indexes)).toEqual([[1], [2], [3]]);
+    });
+
+    test('chunks along contiguous blocks', () => {
+        expect(lists(frames().chunk({ contiguous: true }))).toEqual(['1001-1010', '1020-1024']);
+        expect(lists(frames().chunk({ contiguous: true, size: 4 })))
+            .toEqual(['1001-1004', '1005-1008', '1009-1010', '1020-1023', '1024']);
+    });
+
+    test('creates tasks only for missing frames', () => {
+        const rendered = Collection.parse('shot.%04d.exr [1-3, 6, 9-10]');
+        const tasks = rendered.holes.chunk({ size: 2 });
+        expect(lists(tasks)).toEqual(['4-5', '7-8']);
+        expect(new Collection().chunk({ size: 2 })).toEqual([]);
+    });
+
+    test('chunks long ranges without expanding them', () => {
+        const chunks = Collection.parse('img.%d.exr [1-50000000]').chunk({ count: 2 });
+        expect(lists(chunks)).toEqual(['1-25000000', '25000001-50000000']);
+    });
+
+    test('rejects invalid options', () => {
+        expect(() => frames().chunk()).toThrow('Expected a chunk size, a chunk count or contiguous chunks');
+        expect(() => frames().chunk({ size: 0 })).toThrow('Invalid chunk size: 0. Expected positive integer.');
+        expect(() => frames().chunk({ count: 1.5 })).toThrow('Invalid chunk count: 1.5. Expected positive integer.');
+        expect(() => frames().chunk({ size: 2, count: 2 })).toThrow('not both');
+        expect(() => frames().chunk({ count: 2, contiguous: true })).toThrow('cannot be combined');
+    });
+
+    test('writes frame lists for each farm', () => {
+        const collection = Collection.parse('a.%d [1-10x3, 20-22, 30]');
+        expect(collection.frameList()).toBe('1-10x3,20-22,30');
+        expect(collection.frameList('opencue')).toBe('1-10x3,20-22,30');
+        expect(collection.frameList('tractor')).toBe('1,4,7,10,20-22,30');
+        expect(collection.frameList('royalrender')).toBe(
+            'SeqStart=1 SeqEnd=10 SeqStep=3\nSeqStart=20 SeqEnd=22 SeqStep=1\nSeqStart=30 SeqEnd=30 SeqStep=1'
+        );
+        expect(collection.frameList(runs => runs.map(({ start, end }) => `${start}:${end}`).join(' '))).toBe('1:10 20:22 30:30');
+        expect(Collection.parse('a.%d [-5--3]').frameList()).toBe('-5--3');
+        expect(() => collection.frameList('bogus')).toThrow('Invalid frame list style: bogus');
+    });
+});
+
+
+describe('Sampling', () => {
+    const frames = () => Collection.parse('shot.%04d.exr [1001-1100]');
+    const blocks = () => Collection.parse('a.%d.exr [1-10, 20-30, 40]');
+
+    test('takes every Nth index', () => {
+        expect(frames().sample({ stride: 25 }).indexes).toEqual([1001, 1026, 1051, 1076]);
+        expect(blocks().sample({ stride: 5 }).indexes).toEqual([1, 6, 20, 25, 30]);
+        expect(blocks().sample({ stride: 5, contiguous: true }).indexes).toEqual([1, 6, 20, 25, 30, 40]);
+    });
+
+    test('takes evenly spaced indexes', () => {
+        expect(frames().sample({ count: 5 }).indexes).toEqual([1001, 1026, 1051, 1075, 1100]);
+        expect(frames().sample({ count: 1 }).indexes).toEqual([1001]);
+        expect(blocks().sample({ count: 50 }).format()).toBe('a.%d.exr [1-10, 20-30, 40]');
+        expect(blocks().sample({ count: 2, contiguous: true }).indexes).toEqual([1, 10, 20, 30, 40]);
+    });
+
+    test('takes the first, middle and last indexes', () => {
+        const sample = frames().sample({ checkFrames: true });
+        expect(sample.format()).toBe('shot.%04d.exr [1001, 1050, 1100]');
+        expect(blocks().sample({ checkFrames: true }).indexes).toEqual([1, 20, 40]);
+        expect(blocks().sample({ checkFrames: true, contiguous: true }).indexes).toEqual([1, 5, 10, 20, 25, 30, 40]);
+    });
+
+    test('takes a repeatable random sample', () => {
+        const sample = frames().sample({ random: 10, seed: 42 });
+        expect(sample.indexes).toHaveLength(10);
+        expect(sample.indexes.every(index => index >= 1001 && index <= 1100)).toBe(true);
+        expect(frames().sample({ random: 10, seed: 42 }).indexes).toEqual(sample.indexes);
+        expect(frames().sample({ random: 10, seed: 7 }).indexes).not.toEqual(sample.indexes);
+        expect(frames().sample({ random: 10 }).indexes).toEqual(frames().sample({ random: 10, seed: 0 }).indexes);
+
+        const perBlock = blocks().sample({ random: 2, seed: 1, contiguous: true });
+        expect(perBlock.separate().map(block => block.indexes.length)).not.toContain(0);
+        expect(perBlock.indexes.filter(index => index <= 10)).toHaveLength(2);
+        expect(perBlock.indexes).toContain(40);
+        expect(blocks().sample({ random: 100 }).format()).toBe('a.%d.exr [1-10, 20-30, 40]');
+    });
+
+    test('samples long ranges without expanding them', () => {
+        const sample = Collection.parse('img.%d.exr [1-50000000]').sample({ count: 3 });
+        expect(sample.indexes).toEqual([1, 25000001, 50000000]);
+    });
+
+    test('returns a new collection', () => {
+        const collection = frames();
+        const sample = collection.sample({ checkFrames: true });
+        expect(sample).not.toBe(collection);
+        expect(collection.indexes).toHaveLength(100);
+        expect(sample.format('{head}{padding}{tail}')).toBe('shot.%04d.exr');
+        expect(new Collection().sample({ count: 3 }).indexes).toEqual([]);
+    });
+
+    test('rejects invalid options', () => {
+        expect(() => frames().sample()).toThrow('Expected exactly one of stride, count, checkFrames or random');
+        expect(() => frames().sample({ stride: 2, count: 2 })).toThrow('Expected exactly one of');
+        expect(() => frames().sample({ stride: 0 })).toThrow('Invalid sample stride: 0. Expected positive integer.');
+        expect(() => frames().sample({ random: 2.5 })).toThrow('Invalid sample random: 2.5. Expected positive integer.');
+        expect(() => frames().sample({ random: 2, seed: 'a' })).toThrow('Invalid seed: a. Expected integer.');
+    });
+});